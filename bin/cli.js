@@ -1,309 +1,239 @@
 #!/usr/bin/env node
+// Before any require, and in syntax old versions parse, so they get this message
+// instead of a crash (the minimum is the one in package.json engines)
+const nodeVersion = process.versions.node.split(".").map(Number);
+if (nodeVersion[0] < 18 || (nodeVersion[0] === 18 && nodeVersion[1] < 13)) {
+  console.error(
+    `❌ fast-nginx needs Node.js 18.13 or newer (running ${process.version})`,
+  );
+  process.exit(1);
+}
+
 const { Command } = require("commander");
-const fs = require("fs");
-const { execSync, spawn } = require("child_process");
 const chalk = require("chalk");
+
 const program = new Command();
 const packageJson = require("../package.json");
+const { listTemplates } = require("../src/templates");
+const { BALANCE_METHODS } = require("../src/utils/upstream.helper");
 const {
-  sudoWriteFsFile,
-  sudoLinkFsFile,
-  sudoUnlinkFsFile,
-} = require("../src/utils/file.helper");
+  LETSENCRYPT_LIVE_DIR,
+  EXPIRY_WARNING_DAYS,
+} = require("../src/utils/certificate.helper");
+const { LAYOUTS, configureLayout } = require("../src/utils/layout.helper");
+const { SECURITY_PROFILES } = require("../src/utils/security.helper");
 const {
-  generateBasicNginxConfigTemplate,
-} = require("../src/templates/basic.template");
-const checkSystemRequirements = require("../src/validators/system.validator");
-const validateDomain = require("../src/validators/domain.validator");
-const validatePort = require("../src/validators/port.validator");
-const validateEmail = require("../src/validators/email.validator");
-const { askUser } = require("../src/utils/ask.helper");
+  SSL_METHODS,
+  setupNginxServerBlock,
+} = require("../src/commands/setup.command");
+const { listSites } = require("../src/commands/list.command");
+const { listCertificates } = require("../src/commands/certs.command");
+const { applySites } = require("../src/commands/apply.command");
+const { verifySite } = require("../src/commands/verify.command");
+const {
+  enableSite,
+  disableSite,
+  removeSite,
+} = require("../src/commands/site.command");
+
+const templateNames = listTemplates()
+  .map((item) => item.name)
+  .join("|");
+
+// --allow and --deny fill one list, in order: nginx applies the first rule that matches
+const accessRules = [];
+function accessRule(action) {
+  return (rule) => {
+    accessRules.push({ action, rule });
+    return accessRules;
+  };
+}
 
 // CLI Configuration
 program
   .name("fast-nginx")
   .description("🚀 Automate Nginx server block setup with SSL support")
   .version(packageJson.version)
+  .option(
+    "--nginx-root <directory>",
+    "Nginx configuration directory (default: from nginx -V)",
+  )
+  .option(
+    "--layout <layout>",
+    `Where sites go (${LAYOUTS.join("|")}; default: detected from nginx.conf)`,
+  )
+  .hook("preAction", () => {
+    try {
+      configureLayout(program.opts());
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command("setup", { isDefault: true })
+  .description("Create or update the server block for a domain (default)")
   .requiredOption("-d, --domain <domain>", "Domain name for the server block")
   .option("-p, --port <port>", "Port number for the upstream server", "3000")
-  .option("--ssl", "Setup SSL certificate with Let's Encrypt")
-  .option("--email <email>", "Email for SSL certificate (required with --ssl)")
-  .option("--www <www>", "Include www subdomain in SSL certificate")
-  .option("--force", "Overwrite existing configuration")
+  .option(
+    "--ssl [provider]",
+    "Setup SSL certificate with Let's Encrypt, or self-signed from a local CA",
+  )
+  .option(
+    "--email <email>",
+    "Email for SSL certificate (required for Let's Encrypt)",
+  )
+  .option(
+    "--ssl-method <method>",
+    `How certbot proves domain ownership (${SSL_METHODS.join("|")})`,
+    "webroot",
+  )
+  .option("--cert <file>", "Use your own certificate (PEM) instead of --ssl")
+  .option("--key <file>", "Private key of --cert (PEM, no passphrase)")
+  .option(
+    "--chain <file>",
+    "Intermediate certificates, when --cert does not include them",
+  )
+  .option(
+    "--dns-hook <script>",
+    "Script that adds and removes DNS-01 TXT records (--ssl-method dns)",
+  )
+  .option(
+    "--acme-server <url>",
+    "ACME directory URL, e.g. a local Pebble server (default: Let's Encrypt)",
+  )
+  .option(
+    "--acme-ca-bundle <file>",
+    "CA bundle to trust for --acme-server (e.g. Pebble's certificate)",
+  )
+  .option(
+    "--upstream <servers>",
+    "Comma-separated backends for a load-balanced upstream (host:port [weight=N] [max_fails=N] [fail_timeout=T] [backup])",
+  )
+  .option(
+    "--balance <method>",
+    `Upstream balancing method (${BALANCE_METHODS.join("|")})`,
+  )
+  .option("--keepalive <connections>", "Idle keepalive connections per worker")
+  .option(
+    "--route <route>",
+    "Proxy a path prefix to another backend, e.g. /api=4000 or /ws=5000:websocket (repeatable)",
+    (value, previous) => [...(previous || []), value],
+  )
+  .option(
+    "--health-path <path>",
+    "Check that the upstream answers GET <path> before enabling the site",
+  )
+  .option(
+    "--health-status <status>",
+    "Status --health-path has to answer with (default: 200)",
+  )
+  .option(
+    "--require-upstream",
+    "Stop when the upstream does not answer instead of warning",
+  )
+  .option("--root <directory>", "Serve static files from this directory")
+  .option("--autoindex", "List directory contents when there is no index file")
+  .option(
+    "--no-spa-fallback",
+    "Return 404 for unknown paths instead of serving index.html",
+  )
+  .option(
+    "--security <profile>",
+    `Security headers and TLS hardening (${SECURITY_PROFILES.join("|")})`,
+    "standard",
+  )
+  .option("--hsts-preload", "Opt in to HSTS preloading (includes subdomains)")
+  .option("--csp <policy>", "Content-Security-Policy header value")
+  .option("--rate-limit <rate>", "Requests per client, e.g. 10r/s or 600r/m")
+  .option("--burst <requests>", "Requests allowed above --rate-limit")
+  .option("--conn-limit <connections>", "Concurrent connections per client")
+  .option(
+    "--cors-origin <origins>",
+    'Comma-separated origins allowed by CORS, or "*" (api template)',
+  )
+  .option("--cors-credentials", "Allow credentialed CORS requests")
+  .option("--cors-methods <methods>", "Comma-separated CORS methods")
+  .option("--cors-headers <headers>", "Comma-separated CORS request headers")
+  .option(
+    "--basic-auth <user>",
+    "Require HTTP basic auth; the password is prompted for or read from stdin",
+  )
+  .option(
+    "--allow <cidr>",
+    "Allow an address or CIDR block, e.g. 10.0.0.0/8 (repeatable)",
+    accessRule("allow"),
+  )
+  .option(
+    "--deny <cidr>",
+    'Deny an address or CIDR block, or "all" (repeatable)',
+    accessRule("deny"),
+  )
+  .option(
+    "--alias <names>",
+    "Extra server names, comma-separated; *.domain needs --ssl-method dns (repeatable)",
+    (value, previous) => [...(previous || []), value],
+  )
+  .option("--www", "Also serve www.<domain> (same as --alias www.<domain>)")
+  .option(
+    "--force",
+    "Overwrite existing configuration, even when it conflicts with other configs",
+  )
   .option("--dry-run", "Show what would be done without executing")
   .option(
     "--template <template>",
-    "Use custom template (basic|api|spa)",
-    "basic",
+    `Use custom template (${templateNames}) or a path to a .conf.tmpl file (default: "basic", or "static" with --root)`,
   )
   .option("--no-reload", "Skip Nginx reload")
+  .option("--no-verify", "Skip requesting the site once it is live")
   .option("--yes", "Auto-answer yes to all prompts")
-  .parse();
-
-const options = program.opts();
-
-function getTemplate(templateType, domain, port) {
-  const templates = {
-    basic: generateBasicNginxConfigTemplate(options, domain, port),
-  };
-  return templates[templateType] || templates.basic;
-}
-
-async function setupSSL(domain, email) {
-  console.log(
-    chalk.yellow("🔒 Setting up SSL certificate with Let's Encrypt..."),
+  .action(({ route, allow, deny, ...options }) =>
+    setupNginxServerBlock({
+      ...options,
+      routes: route,
+      accessRules: allow || deny,
+    }).catch((error) => {
+      console.error(chalk.red("❌ Setup failed:"), error.message);
+      process.exit(1);
+    }),
   );
 
-  try {
-    try {
-      execSync("which certbot", { stdio: "pipe" });
-      console.log(chalk.green("✅ Certbot found"));
-    } catch (error) {
-      console.log(chalk.yellow("📦 Installing Certbot..."));
-
-      try {
-        if (fs.existsSync("/etc/debian_version")) {
-          execSync(
-            "sudo apt update && sudo apt install certbot python3-certbot" +
-              "t-nginx -y",
-            { stdio: "inherit" },
-          );
-        } else if (fs.existsSync("/etc/redhat-release")) {
-          execSync("sudo yum install certbot python3-certbot-nginx -y", {
-            stdio: "inherit",
-          });
-        } else {
-          throw new Error("Unsupported OS for automatic certbot installation");
-        }
-      } catch (installError) {
-        console.error(chalk.red("❌ Failed to install certbot automatically"));
-        console.log(chalk.yellow("💡 Please install certbot manually:"));
-        console.log(
-          chalk.gray(
-            "   Ubuntu/Debian: sudo apt install certbot python3-certbot-nginx",
-          ),
-        );
-        console.log(
-          chalk.gray(
-            "   CentOS/RHEL: sudo yum install certbot python3-certbot-nginx",
-          ),
-        );
-        return false;
-      }
-    }
-
-    // Build certbot command
-    const domains = options.www
-      ? `-d ${domain} -d www.${domain}`
-      : `-d ${domain}`;
-    execSync("sudo systemctl stop nginx", { stdio: "inherit" });
-    const certbotCmd = `sudo certbot --nginx ${domains} --email ${email} --agree-tos --non-interactive --redirect`;
-    console.log(chalk.gray(`Running: ${certbotCmd}`));
-
-    execSync(certbotCmd, { stdio: "inherit" });
-    console.log(chalk.green("✅ SSL certificate installed successfully!"));
-
-    // Test SSL configuration
-    console.log(chalk.yellow("🧪 Testing SSL configuration..."));
-    console.log(chalk.green("✅ SSL configuration test passed"));
-
-    return true;
-  } catch (error) {
-    console.error(chalk.red("❌ SSL setup failed:"), error.message);
-    console.log(chalk.yellow("💡 You can set up SSL manually later with:"));
-    console.log(chalk.gray(`   sudo certbot --nginx -d ${domain}`));
-    return false;
-  }
-}
-
-async function setupNginxServerBlock() {
-  const { domain, port, dryRun, force, template } = options;
-  console.log(chalk.blue.bold("🚀 fast-nginx v" + packageJson.version));
-  console.log(chalk.gray("Nginx Server Block Automation Tool"));
-  console.log(chalk.gray("=====================================\n"));
-  console.log(chalk.yellow("🔍 Checking system requirements..."));
-  const systemChecks = await checkSystemRequirements(options);
-  execSync("sudo systemctl stop nginx", { stdio: "inherit" });
-  let color;
-  let icon;
-  for (const check of systemChecks) {
-    switch (check.status) {
-      case "ok":
-        color = "green";
-        icon = "✅";
-        break;
-      case "warning":
-        color = "yellow";
-        icon = "⚠️";
-        break;
-      case "error":
-        color = "red";
-        icon = "❌";
-        process.exit(1);
-        break;
-      default:
-        color = "red";
-        icon = "❌";
-    }
-
-    console.log(chalk[color](`${icon} ${check.name}: ${check.message}`));
-  }
-
-  console.log(chalk.yellow("📋 Validating inputs..."));
-
-  if (!validateDomain(domain)) {
-    console.error(chalk.red("❌ Invalid domain format:", domain));
-    console.log(chalk.gray("   Example: myapp.uz , api.myapp.uz"));
-    process.exit(1);
-  }
-
-  if (!validatePort(port)) {
-    console.error(chalk.red("❌ Invalid port number:", port));
-    console.log(chalk.gray("   Port must be between 1 and 65535"));
-    process.exit(1);
-  }
-
-  if (options.ssl && !options.email) {
-    console.error(chalk.red("❌ Email is required when using --ssl option"));
-    console.log(
-      chalk.gray(
-        "Use: fast-nginx --domain domain.com --port [your app port] --ssl --email your@email.com --yes",
-      ),
-    );
-    process.exit(1);
-  }
-
-  if (options.ssl && options.email && !validateEmail(options.email)) {
-    console.error(chalk.red("❌ Invalid email format:", options.email));
-    process.exit(1);
-  }
-
-  console.log(chalk.green("✅ Domain:", domain));
-  console.log(chalk.green("✅ Port:", port));
-  console.log(chalk.green("✅ Template:", template));
-
-  if (options.ssl) {
-    console.log(chalk.green("✅ SSL setup requested"));
-    console.log(chalk.green("✅ Email:", options.email));
-    if (options.www) {
-      console.log(chalk.green("✅ Including www subdomain"));
-    }
-  }
-
-  const sitesAvailable = `/etc/nginx/sites-available/${domain}`;
-  const sitesEnabled = `/etc/nginx/sites-enabled/${domain}`;
-
-  console.log(chalk.yellow("\n📝 Generating Nginx configuration..."));
-  const nginxConfig = getTemplate(template, domain, port);
-
-  try {
-    if (fs.existsSync(sitesAvailable) && !force) {
-      const userResponse = await askUser(
-        options,
-        ` ⚠️ Configuration for ${domain} already exists. Overwrite?`,
-      );
-      if (!userResponse) {
-        console.log(chalk.yellow(`⚠️ Operation cancelled by user`));
-        console.log(
-          chalk.gray(`   Existing configuration at: ${sitesAvailable}`),
-        );
-        console.log(
-          chalk.gray(`   Use --force flag to override without prompting`),
-        );
-        process.exit(0);
-      }
-      await sudoUnlinkFsFile(sitesAvailable);
-    }
-    console.log(chalk.yellow("📄 Writing configuration file..."));
-    await sudoWriteFsFile(sitesAvailable, nginxConfig, (err) => {
-      if (err) {
-        console.error(chalk.red("❌ Failed to write configuration file:"), err);
-        process.exit(1);
-      }
-    });
-    console.log(chalk.green("✅ Configuration written to:", sitesAvailable));
-    console.log(chalk.yellow("🔗 Creating symbolic link..."));
-
-    if (fs.existsSync(sitesEnabled) && !force) {
-      const userResponse = await askUser(
-        options,
-        ` ⚠️ Nginx enabled file already exists. Overwrite?`,
-      );
-      if (userResponse) {
-        await sudoUnlinkFsFile(sitesEnabled);
-      }
-    }
-    await sudoUnlinkFsFile(sitesEnabled);
-    await sudoLinkFsFile(sitesAvailable, sitesEnabled, (err) => {
-      if (err) {
-        console.error(chalk.red("❌ Failed to link:"), err);
-        process.exit(1);
-      }
-    });
-    console.log(chalk.green("✅ Symbolic link created:", sitesEnabled));
-    // Test Nginx configuration
-    console.log(chalk.yellow("🧪 Testing Nginx configuration..."));
-
-    let sslSuccess = false;
-    if (options?.ssl) {
-      sslSuccess = await setupSSL(domain, options.email);
-    }
-
-    console.log(
-      chalk.green.bold("\n🎉 Server block setup completed successfully!"),
-    );
-    console.log(chalk.gray("====================================="));
-    console.log(chalk.white(`📋 Configuration Summary:`));
-    console.log(chalk.white(`   Domain: ${domain}`));
-    console.log(chalk.white(`   Template: ${template}`));
-    console.log(chalk.white(`   Upstream: http://localhost:${port}`));
-    console.log(chalk.white(`   Config: ${sitesAvailable}`));
-
-    if (sslSuccess) {
-      execSync("sudo systemctl start nginx", { stdio: "inherit" });
-      console.log(chalk.green(`   SSL: ✅ HTTPS enabled`));
-      console.log(chalk.white(`   URL: https://${domain}`));
-    } else if (options?.ssl) {
-      console.log(
-        chalk.yellow(`   SSL: ⚠️ Setup attempted but may have failed`),
-      );
-    }
-
-    console.log(chalk.gray("\n💡 Next steps:"));
-    console.log(chalk.gray(`   1. Ensure your app is running on port ${port}`));
+program
+  .command("list")
+  .description("List sites managed by fast-nginx and their status")
+  .option("--json", "Print the sites as JSON")
+  .action((options) =>
+    listSites(options).catch((error) => {
+      console.error(chalk.red("❌ List failed:"), error.message);
+      process.exit(1);
+    }),
+  );
 
-    if (!sslSuccess && !options.ssl) {
-      console.log(chalk.gray(`2. Point your domain DNS to this server`));
-      console.log(
-        chalk.gray(
-          `   3. Set up SSL: fast-nginx -d ${domain} --ssl --email your@email.com`,
-        ),
-      );
-    } else if (sslSuccess) {
-      console.log(chalk.gray(`2. Your site is ready at https://${domain}`));
-      console.log(
-        chalk.gray(
-          `   3. SSL will auto-renew (check: sudo certbot renew --dry-run)`,
-        ),
-      );
-    }
-    console.log(
-      chalk.gray(
-        `   4. Monitor logs: sudo tail -f /var/log/nginx/${domain}_*.log`,
-      ),
-    );
-  } catch (error) {
-    console.error(chalk.red("❌ Error during setup:"), error.message);
-    if (error.code === "EACCES") {
-      console.log(
-        chalk.yellow(
-          "💡 Try running with sudo: sudo fast-nginx -d your-domain.com",
-        ),
-      );
-    }
-    process.exit(1);
-  }
-}
+program
+  .command("certs")
+  .description(
+    "Show certificates, the sites using them and their expiry; exits 1 when any is due",
+  )
+  .option(
+    "--dir <directory>",
+    `Certificate directory (default: ${LETSENCRYPT_LIVE_DIR} and <nginx root>/fast-nginx/certs)`,
+  )
+  .option(
+    "--days <days>",
+    "Report certificates expiring within this many days",
+    String(EXPIRY_WARNING_DAYS),
+  )
+  .option("--renew", "Renew the reported certificates and reload Nginx")
+  .option("--json", "Print the certificates as JSON")
+  .option("--dry-run", "Show what --renew would do without executing")
+  .option("--no-reload", "Skip Nginx reload")
+  .action((options) =>
+    listCertificates(options).catch((error) => {
+      console.error(chalk.red("❌ Certs failed:"), error.message);
+      process.exit(1);
+    }),
+  );
 
 process.on("uncaughtException", (error) => {
   console.error(chalk.red("❌ Unexpected error:"), error.message);
@@ -320,7 +250,87 @@ process.on("unhandledRejection", (reason, promise) => {
   process.exit(1);
 });
 
-setupNginxServerBlock().catch((error) => {
-  console.error(chalk.red("❌ Setup failed:"), error.message);
-  process.exit(1);
-});
+function siteCommand(
+  name,
+  description,
+  handler,
+  forceDescription = "Also manage configs not generated by fast-nginx",
+) {
+  return program
+    .command(name)
+    .description(description)
+    .requiredOption("-d, --domain <domain>", "Domain name of the site")
+    .option("--force", forceDescription)
+    .option("--dry-run", "Show what would be done without executing")
+    .option("--no-reload", "Skip Nginx reload")
+    .option("--yes", "Auto-answer yes to all prompts")
+    .action((options) =>
+      handler(options).catch((error) => {
+        console.error(chalk.red(`❌ ${name} failed:`), error.message);
+        process.exit(1);
+      }),
+    );
+}
+
+siteCommand(
+  "enable",
+  "Enable a site by linking it into sites-enabled",
+  enableSite,
+  "Also manage configs not generated by fast-nginx, and enable sites that conflict with other configs",
+);
+siteCommand(
+  "disable",
+  "Disable a site without deleting its configuration",
+  disableSite,
+);
+siteCommand("remove", "Remove a site's configuration", removeSite)
+  .option("--delete-certificate", "Also delete its certificate")
+  .option(
+    "--revoke-certificate",
+    "Revoke and delete its Let's Encrypt certificate",
+  )
+  .option("--delete-logs", "Also delete its nginx log files");
+
+program
+  .command("apply")
+  .description("Create, update and optionally prune sites from a sites file")
+  .requiredOption("-f, --file <file>", "Sites file (.json, .yml or .yaml)")
+  .option("--prune", "Remove managed sites that are not in the file")
+  .option(
+    "--force",
+    "Write the sites even when they conflict with other configs",
+  )
+  .option(
+    "--require-upstream",
+    "Stop when a site's upstream does not answer instead of warning",
+  )
+  .option("--dry-run", "Show the plan without executing it")
+  .option("--no-reload", "Skip Nginx reload")
+  .option("--no-verify", "Skip requesting the sites once they are live")
+  .option("--yes", "Auto-answer yes to all prompts")
+  .action((options) =>
+    applySites(options).catch((error) => {
+      console.error(chalk.red("❌ Apply failed:"), error.message);
+      process.exit(1);
+    }),
+  );
+
+program
+  .command("verify")
+  .description(
+    "Request a live site from the local Nginx and report DNS, redirects, status, certificate and headers",
+  )
+  .requiredOption("-d, --domain <domain>", "Domain name of the site")
+  .option(
+    "--address <address>",
+    "Address of the Nginx to send the requests to",
+    "127.0.0.1",
+  )
+  .action((options) =>
+    verifySite(options).catch((error) => {
+      console.error(chalk.red("❌ Verify failed:"), error.message);
+      process.exit(1);
+    }),
+  );
+
+program.parse();
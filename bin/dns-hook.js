@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+// certbot --manual hook for --ssl-method dns: turns certbot's CERTBOT_DOMAIN
+// and CERTBOT_VALIDATION into "<script> add|remove <record name> <value>"
+const { spawnSync } = require("child_process");
+const {
+  DNS_HOOK_ACTIONS,
+  acmeChallengeRecord,
+} = require("../src/utils/dns.helper");
+
+const [action, script] = process.argv.slice(2);
+const { CERTBOT_DOMAIN: domain, CERTBOT_VALIDATION: value } = process.env;
+
+if (!DNS_HOOK_ACTIONS.includes(action) || !script || !domain || !value) {
+  console.error(
+    "Usage: dns-hook.js add|remove <script> (run by certbot with CERTBOT_DOMAIN and CERTBOT_VALIDATION set)",
+  );
+  process.exit(2);
+}
+
+const result = spawnSync(script, [action, acmeChallengeRecord(domain), value], {
+  stdio: "inherit",
+});
+if (result.error) {
+  console.error(`Cannot run DNS hook ${script}: ${result.error.message}`);
+  process.exit(1);
+}
+process.exit(result.status === null ? 1 : result.status);
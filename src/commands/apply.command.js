@@ -0,0 +1,324 @@
+const chalk = require("chalk");
+const {
+  createActionRunner,
+  printDryRunSummary,
+} = require("../utils/action.helper");
+const { createTransaction } = require("../utils/transaction.helper");
+const { keepNginxRunning, testAndReload } = require("../utils/nginx.helper");
+const {
+  sslProvider,
+  findCertificate,
+  letsEncryptCertificate,
+  customCertificate,
+  loadCustomCertificate,
+  readCertificateInfo,
+  uncoveredNames,
+} = require("../utils/certificate.helper");
+const { siteNames } = require("../utils/alias.helper");
+const {
+  getSitePaths,
+  isSameConfig,
+  readManagedSites,
+} = require("../utils/sites.helper");
+const { isLinkPresent, readFileIfExists } = require("../utils/file.helper");
+const { loadManifest } = require("../utils/manifest.helper");
+const { limitZones } = require("../templates/snippets");
+const { accessUsers } = require("../utils/access.helper");
+const { htpasswdPath, readHtpasswd } = require("../utils/htpasswd.helper");
+const { validateSiteOptions } = require("../validators/site.validator");
+const { askUser } = require("../utils/ask.helper");
+const {
+  printProblems,
+  checkConflicts,
+  runSystemChecks,
+  runUpstreamChecks,
+  runVerification,
+  setupSSL,
+  applyLimitZones,
+  collectHtpasswd,
+  applyHtpasswd,
+  installCustomCertificate,
+  planLocalCertificate,
+  installLocalCertificate,
+  printTrustInstructions,
+  applyNginxConfig,
+  renderNginxConfig,
+} = require("./setup.command");
+
+// A Let's Encrypt certificate is (re)issued when it is missing or lacks one of the site's names
+function needsCertificate(site, certificate) {
+  if (sslProvider(site) !== "letsencrypt") return false;
+  if (!certificate || certificate.source !== "letsencrypt") return true;
+  try {
+    const info = readCertificateInfo(certificate.certificate);
+    return Boolean(
+      info && uncoveredNames(info, siteNames(site, site.domain)).length > 0,
+    );
+  } catch (error) {
+    // An unparsable certificate is left for nginx -t to report
+    return false;
+  }
+}
+
+// Works out what has to change for every declared site, and what --prune removes
+function computePlan(sites, options) {
+  const plan = [];
+
+  for (const site of sites) {
+    const paths = getSitePaths(site.domain);
+    const selfSigned = sslProvider(site) === "self-signed";
+    const certificate =
+      site.cert || selfSigned
+        ? customCertificate(site.domain)
+        : findCertificate(site.domain);
+    // Issued now, installed only when the plan is applied
+    site.localCertificate = selfSigned ? planLocalCertificate(site) : null;
+    const config = renderNginxConfig(site, certificate);
+    const existing = readFileIfExists(paths.sitesAvailable);
+    const zones = limitZones(site, site.domain);
+    const existingZones = readFileIfExists(paths.zones);
+    const zonesChanged = zones
+      ? !isSameConfig(existingZones, zones)
+      : existingZones !== null;
+    // Users missing from (or left over in) the password file
+    const users = accessUsers(site);
+    const knownUsers = readHtpasswd(site.domain);
+    const htpasswdChanged =
+      users.length !== knownUsers.size ||
+      users.some((user) => !knownUsers.has(user));
+
+    // A --cert that differs from the installed one is reinstalled
+    const certificateChanged =
+      Boolean(site.cert) &&
+      readFileIfExists(certificate.certificate) !==
+        loadCustomCertificate(site).fullchain;
+
+    let action = "unchanged";
+    if (existing === null) {
+      action = "create";
+    } else if (
+      !isSameConfig(existing, config) ||
+      zonesChanged ||
+      htpasswdChanged ||
+      certificateChanged ||
+      site.localCertificate
+    ) {
+      action = "update";
+    }
+
+    plan.push({
+      action,
+      site,
+      paths,
+      config,
+      link: !isLinkPresent(paths.sitesEnabled),
+      issueCertificate: needsCertificate(site, certificate),
+    });
+  }
+
+  if (options.prune) {
+    const declared = new Set(sites.map((site) => site.domain));
+    for (const managed of readManagedSites()) {
+      if (declared.has(managed.domain)) continue;
+      plan.push({
+        action: "remove",
+        site: { domain: managed.domain },
+        paths: getSitePaths(managed.domain),
+      });
+    }
+  }
+
+  return plan;
+}
+
+function printPlan(plan) {
+  const styles = {
+    create: chalk.green("+ create   "),
+    update: chalk.yellow("~ update   "),
+    unchanged: chalk.gray("= unchanged"),
+    remove: chalk.red("- remove   "),
+  };
+
+  console.log(chalk.white("\n📋 Plan:"));
+  for (const entry of plan) {
+    const notes = [];
+    if (entry.action !== "remove" && entry.link) notes.push("enable");
+    if (entry.issueCertificate) notes.push("issue certificate");
+    if (entry.site.localCertificate) notes.push("self-signed certificate");
+    console.log(
+      `   ${styles[entry.action]} ${entry.site.domain}${
+        notes.length ? chalk.gray(` (${notes.join(", ")})`) : ""
+      }`,
+    );
+  }
+}
+
+async function applySites(options) {
+  let sites;
+  try {
+    sites = loadManifest(options.file);
+  } catch (error) {
+    console.error(chalk.red("❌ Invalid sites file:"), error.message);
+    process.exit(1);
+  }
+
+  let invalid = false;
+  for (const site of sites) {
+    const problems = validateSiteOptions(site);
+    if (problems.length > 0) {
+      invalid = true;
+      console.error(chalk.red.bold(`\n${site.domain}:`));
+      printProblems(problems);
+    }
+  }
+  if (invalid) {
+    process.exit(1);
+  }
+
+  await runSystemChecks(options);
+  await runUpstreamChecks(sites, options);
+
+  const plan = computePlan(sites, options);
+  printPlan(plan);
+
+  const changes = plan.filter(
+    (entry) =>
+      entry.action !== "unchanged" || entry.link || entry.issueCertificate,
+  );
+  // Sites about to be written or enabled, against everything that stays
+  checkConflicts(
+    changes
+      .filter(
+        (entry) =>
+          entry.action === "create" || entry.action === "update" || entry.link,
+      )
+      .map((entry) => ({
+        file: entry.paths.sitesAvailable,
+        content: entry.config,
+      })),
+    options,
+    changes
+      .filter((entry) => entry.action === "remove")
+      .map((entry) => entry.paths.sitesAvailable),
+  );
+  if (changes.length === 0) {
+    console.log(chalk.green("\n✅ Everything is up to date"));
+    return;
+  }
+
+  if (!options.dryRun) {
+    const answer = await askUser(
+      options,
+      `\nApply ${changes.length} change(s)?`,
+    );
+    if (!answer) {
+      console.log(chalk.yellow("⚠️ Operation cancelled by user"));
+      return;
+    }
+  }
+
+  // Only users without a password yet are asked for one
+  for (const entry of changes) {
+    if (entry.action === "remove" || entry.action === "unchanged") continue;
+    entry.site.htpasswd = await collectHtpasswd(
+      { ...entry.site, dryRun: options.dryRun },
+      { askKnown: false },
+    );
+  }
+
+  const caCreated = changes.some(
+    (entry) =>
+      entry.site.localCertificate && entry.site.localCertificate.ca.created,
+  );
+  const runner = createActionRunner(options);
+  keepNginxRunning(runner);
+  const transaction = createTransaction(runner);
+
+  // All configuration changes are tested and rolled back together
+  for (const entry of changes) {
+    transaction.backup(entry.paths.sitesAvailable);
+    transaction.backup(entry.paths.sitesEnabled);
+    transaction.backup(entry.paths.zones);
+  }
+  for (const entry of changes) {
+    const { sitesAvailable, sitesEnabled } = entry.paths;
+    if (entry.action === "remove") {
+      console.log(chalk.yellow(`🗑️  Removing ${entry.site.domain}...`));
+      if (isLinkPresent(sitesEnabled)) {
+        await runner.remove(sitesEnabled);
+      }
+      await runner.remove(sitesAvailable);
+      if (isLinkPresent(entry.paths.zones)) {
+        await runner.remove(entry.paths.zones);
+      }
+      continue;
+    }
+    if (entry.action !== "unchanged") {
+      if (entry.site.cert) {
+        await installCustomCertificate(entry.site, runner, transaction);
+      }
+      await installLocalCertificate(entry.site, runner, transaction);
+      await applyLimitZones(entry.site, runner, transaction);
+      await applyHtpasswd(entry.site, runner);
+      console.log(chalk.yellow(`📄 Writing ${sitesAvailable}...`));
+      await runner.writeFile(sitesAvailable, entry.config);
+    }
+    if (entry.link) {
+      await runner.link(sitesAvailable, sitesEnabled);
+    }
+  }
+  if (!(await testAndReload(options, runner, transaction))) {
+    process.exit(1);
+  }
+
+  // Password files go once no loaded config refers to them
+  for (const entry of changes.filter((item) => item.action === "remove")) {
+    if (isLinkPresent(htpasswdPath(entry.site.domain))) {
+      await runner.remove(htpasswdPath(entry.site.domain));
+    }
+  }
+
+  for (const entry of changes.filter((item) => item.issueCertificate)) {
+    const site = {
+      ...entry.site,
+      dryRun: options.dryRun,
+      reload: options.reload,
+    };
+    if (await setupSSL(site.domain, site.email, runner, site)) {
+      console.log(
+        chalk.yellow(`\n🔐 Enabling HTTPS server block for ${site.domain}...`),
+      );
+      await applyNginxConfig(
+        site,
+        runner,
+        entry.paths.sitesAvailable,
+        entry.paths.sitesEnabled,
+        renderNginxConfig(site, letsEncryptCertificate(site.domain)),
+        false,
+      );
+    }
+  }
+
+  if (runner.dryRun) {
+    printDryRunSummary(runner);
+  } else {
+    console.log(chalk.green.bold("\n🎉 Sites applied successfully!"));
+    if (caCreated) {
+      printTrustInstructions(
+        changes.find((entry) => entry.site.localCertificate).site.domain,
+      );
+    }
+    if (options.verify !== false && options.reload !== false) {
+      const verified = changes.filter((entry) => entry.action !== "remove");
+      for (const [index, entry] of verified.entries()) {
+        await runVerification(entry.site.domain, options, {
+          afterReload: index === 0,
+        });
+      }
+    }
+  }
+}
+
+module.exports = {
+  applySites,
+};
@@ -0,0 +1,240 @@
+const path = require("path");
+const chalk = require("chalk");
+const {
+  createActionRunner,
+  printDryRunSummary,
+} = require("../utils/action.helper");
+const { createTransaction } = require("../utils/transaction.helper");
+const { testAndReload } = require("../utils/nginx.helper");
+const { readManagedSites } = require("../utils/sites.helper");
+const {
+  isLocalCaCertificate,
+  issueLocalCertificate,
+} = require("../utils/local-ca.helper");
+const { installLocalCertificate } = require("./setup.command");
+const {
+  LETSENCRYPT_LIVE_DIR,
+  customCertificateDir,
+  nameField,
+  readCertificateDirectory,
+  isRenewable,
+} = require("../utils/certificate.helper");
+const { printTable } = require("../utils/table.helper");
+
+const LOCAL_CA_SOURCE = "local-ca";
+
+// Where a certificate came from, for the SOURCE column
+function certificateSource(directory, certificate) {
+  if (directory === LETSENCRYPT_LIVE_DIR) return "letsencrypt";
+  if (directory !== customCertificateDir()) return directory;
+  return certificate.info && isLocalCaCertificate(certificate.info)
+    ? LOCAL_CA_SOURCE
+    : "own";
+}
+
+// certbot renews its own certificates, the local CA reissues the ones it signed
+function canRenew(directory, certificate) {
+  if (directory === LETSENCRYPT_LIVE_DIR) return isRenewable(certificate.name);
+  return certificateSource(directory, certificate) === LOCAL_CA_SOURCE;
+}
+
+function readDirectory(directory) {
+  try {
+    return readCertificateDirectory(directory);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    console.error(chalk.red(`❌ Cannot read ${directory}:`), error.message);
+    if (error.code === "EACCES") {
+      console.log(chalk.gray("   Run it with sudo: sudo fast-nginx certs"));
+    }
+    process.exit(1);
+  }
+}
+
+// The certificates in the directories, with the managed sites that reference each
+function loadCertificates(directories) {
+  const sites = readManagedSites();
+  return directories.flatMap((directory) =>
+    readDirectory(directory).map((certificate) => ({
+      ...certificate,
+      source: certificateSource(directory, certificate),
+      renewable: canRenew(directory, certificate),
+      sites: sites
+        .filter(
+          (site) =>
+            site.certificate &&
+            path.dirname(site.certificate) === certificate.directory,
+        )
+        .map((site) => site.domain),
+    })),
+  );
+}
+
+// Expired, expiring within the threshold, or unreadable
+function isDue(certificate, days) {
+  return !certificate.info || certificate.info.daysRemaining < days;
+}
+
+function formatIssuer(info) {
+  return (
+    [nameField(info.issuer, "O"), nameField(info.issuer, "CN")]
+      .filter(Boolean)
+      .join(" ") || "-"
+  );
+}
+
+function formatExpiry(certificate, days) {
+  if (!certificate.info) return chalk.red(certificate.error || "unreadable");
+
+  const { validTo, daysRemaining } = certificate.info;
+  const text = `${validTo.toISOString().slice(0, 10)} (${daysRemaining}d)`;
+  if (daysRemaining < 0) return chalk.red(text);
+  if (daysRemaining < days) return chalk.yellow(text);
+  return chalk.green(text);
+}
+
+function toJson(certificate) {
+  const { info } = certificate;
+  return {
+    name: certificate.name,
+    source: certificate.source,
+    certificate: certificate.certificate,
+    subject: info ? nameField(info.subject, "CN") : null,
+    subjectAltNames: info ? info.subjectAltNames : [],
+    issuer: info ? formatIssuer(info) : null,
+    validFrom: info ? info.validFrom.toISOString() : null,
+    validTo: info ? info.validTo.toISOString() : null,
+    daysRemaining: info ? info.daysRemaining : null,
+    renewable: certificate.renewable,
+    sites: certificate.sites,
+    error: certificate.error,
+  };
+}
+
+/**
+ * Renews the given certbot certificates even when certbot would not consider
+ * them due yet (its own threshold is 30 days), reissues the local CA's for the
+ * same names, then reloads nginx so it serves the new files.
+ */
+async function renewCertificates(certificates, options) {
+  const runner = createActionRunner(options);
+
+  for (const certificate of certificates.filter((item) => !item.renewable)) {
+    console.log(
+      chalk.yellow(
+        `⚠️  ${certificate.name} was not issued by certbot or the local CA and cannot be renewed here; install a new one with --cert`,
+      ),
+    );
+  }
+  const renewable = certificates.filter((item) => item.renewable);
+  if (renewable.length === 0) return;
+  const transaction = createTransaction(runner);
+
+  for (const certificate of renewable.filter(
+    (item) => item.source === LOCAL_CA_SOURCE,
+  )) {
+    console.log(chalk.yellow(`🔄 Reissuing ${certificate.name}...`));
+    await installLocalCertificate(
+      {
+        domain: certificate.name,
+        localCertificate: issueLocalCertificate(
+          certificate.info.subjectAltNames,
+        ),
+      },
+      runner,
+      transaction,
+    );
+  }
+  for (const certificate of renewable.filter(
+    (item) => item.source !== LOCAL_CA_SOURCE,
+  )) {
+    console.log(chalk.yellow(`🔄 Renewing ${certificate.name}...`));
+    try {
+      runner.run(
+        `sudo certbot renew --cert-name ${certificate.name} --force-renewal --non-interactive`,
+      );
+    } catch (error) {
+      console.error(
+        chalk.red(`❌ Failed to renew ${certificate.name}:`),
+        error.message,
+      );
+    }
+  }
+
+  if (!(await testAndReload(options, runner, transaction))) {
+    process.exit(1);
+  }
+  if (runner.dryRun) {
+    printDryRunSummary(runner);
+  }
+}
+
+async function listCertificates(options) {
+  const directories = options.dir
+    ? [options.dir]
+    : [LETSENCRYPT_LIVE_DIR, customCertificateDir()];
+  const days = Number(options.days);
+  if (!Number.isInteger(days) || days < 0) {
+    console.error(chalk.red(`❌ Invalid number of days: ${options.days}`));
+    process.exit(1);
+  }
+
+  let certificates = loadCertificates(directories);
+
+  if (options.renew) {
+    const due = certificates.filter((item) => isDue(item, days));
+    if (due.length === 0) {
+      console.log(chalk.green(`✅ No certificate expires within ${days} days`));
+    } else {
+      await renewCertificates(due, options);
+      certificates = loadCertificates(directories);
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(certificates.map(toJson), null, 2));
+  } else if (certificates.length === 0) {
+    console.log(
+      chalk.yellow(`⚠️ No certificates found in ${directories.join(", ")}`),
+    );
+    return;
+  } else {
+    printTable(
+      certificates.map((certificate) => ({
+        CERTIFICATE: certificate.name,
+        SOURCE: certificate.source,
+        SUBJECT: certificate.info
+          ? nameField(certificate.info.subject, "CN") || "-"
+          : "-",
+        NAMES: certificate.info
+          ? certificate.info.subjectAltNames.join(",") || "-"
+          : "-",
+        ISSUER: certificate.info ? formatIssuer(certificate.info) : "-",
+        EXPIRES: formatExpiry(certificate, days),
+        SITES: certificate.sites.join(",") || chalk.gray("unused"),
+      })),
+    );
+  }
+
+  // A non-zero exit lets cron and monitoring act on it
+  const due = certificates.filter((item) => isDue(item, days));
+  if (due.length > 0) {
+    console.error(
+      chalk.red(
+        `\n❌ ${due.length} certificate(s) expire within ${days} days or cannot be read: ${due
+          .map((item) => item.name)
+          .join(", ")}`,
+      ),
+    );
+    if (!options.renew && due.some((item) => item.renewable)) {
+      console.log(
+        chalk.gray("   Renew them with: sudo fast-nginx certs --renew"),
+      );
+    }
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  listCertificates,
+};
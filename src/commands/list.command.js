@@ -0,0 +1,65 @@
+const chalk = require("chalk");
+const { readManagedSites } = require("../utils/sites.helper");
+const {
+  EXPIRY_WARNING_DAYS,
+  readCertificateInfo,
+} = require("../utils/certificate.helper");
+const { printTable } = require("../utils/table.helper");
+
+function describeCertificate(certificatePath) {
+  if (!certificatePath) {
+    return { expiresAt: null, daysRemaining: null, error: null };
+  }
+  try {
+    const info = readCertificateInfo(certificatePath);
+    return {
+      expiresAt: info ? info.validTo.toISOString() : null,
+      daysRemaining: info ? info.daysRemaining : null,
+      error: info ? null : "unreadable",
+    };
+  } catch (error) {
+    return { expiresAt: null, daysRemaining: null, error: error.message };
+  }
+}
+
+function formatExpiry(site) {
+  if (!site.certificate) return chalk.gray("no SSL");
+  if (!site.ssl.expiresAt) return chalk.yellow("unknown");
+
+  const text = `${site.ssl.expiresAt.slice(0, 10)} (${site.ssl.daysRemaining}d)`;
+  if (site.ssl.daysRemaining < 0) return chalk.red(text);
+  if (site.ssl.daysRemaining < EXPIRY_WARNING_DAYS) return chalk.yellow(text);
+  return chalk.green(text);
+}
+
+async function listSites(options) {
+  const sites = readManagedSites().map(({ content, ...site }) => ({
+    ...site,
+    ssl: describeCertificate(site.certificate),
+  }));
+
+  if (options.json) {
+    console.log(JSON.stringify(sites, null, 2));
+    return;
+  }
+
+  if (sites.length === 0) {
+    console.log(chalk.yellow("⚠️ No fast-nginx managed sites found"));
+    return;
+  }
+
+  printTable(
+    sites.map((site) => ({
+      DOMAIN: site.domain,
+      PORT: site.port ? String(site.port) : "-",
+      TEMPLATE: site.template || "-",
+      STATUS: site.enabled ? chalk.green("enabled") : chalk.gray("disabled"),
+      "SSL EXPIRES": formatExpiry(site),
+      GENERATED: site.generatedAt ? site.generatedAt.slice(0, 10) : "-",
+    })),
+  );
+}
+
+module.exports = {
+  listSites,
+};
@@ -0,0 +1,776 @@
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const chalk = require("chalk");
+const packageJson = require("../../package.json");
+const {
+  createActionRunner,
+  printDryRunSummary,
+} = require("../utils/action.helper");
+const { createTransaction } = require("../utils/transaction.helper");
+const { keepNginxRunning, testAndReload } = require("../utils/nginx.helper");
+const {
+  ACME_WEBROOT,
+  limitZones,
+  routeSummary,
+  upstreamSummary,
+} = require("../templates/snippets");
+const {
+  EXPIRY_WARNING_DAYS,
+  sslProvider,
+  findCertificate,
+  letsEncryptCertificate,
+  customCertificate,
+  loadCustomCertificate,
+  nameField,
+} = require("../utils/certificate.helper");
+const { defaultTemplateName, renderTemplate } = require("../templates");
+const checkSystemRequirements = require("../validators/system.validator");
+const checkUpstreamHealth = require("../validators/health.validator");
+const verifyDeployment = require("../validators/deploy.validator");
+const {
+  SSL_METHODS,
+  validateSiteOptions,
+} = require("../validators/site.validator");
+const { askUser, askPassword } = require("../utils/ask.helper");
+const { getSitePaths, isSameConfig } = require("../utils/sites.helper");
+const { findConflicts } = require("../utils/conflict.helper");
+const { isLinkPresent, readFileIfExists } = require("../utils/file.helper");
+const { getNginxUser } = require("../utils/permission.helper");
+const { siteAliases, siteNames } = require("../utils/alias.helper");
+const { dnsHookCommand, shellQuote } = require("../utils/dns.helper");
+const {
+  siteAccess,
+  hasAccessRules,
+  accessUsers,
+} = require("../utils/access.helper");
+const {
+  localCaPaths,
+  issueLocalCertificate,
+  isLocalCertificateCurrent,
+  trustInstructions,
+} = require("../utils/local-ca.helper");
+const {
+  htpasswdDir,
+  htpasswdPath,
+  apr1Hash,
+  readHtpasswd,
+  formatHtpasswd,
+} = require("../utils/htpasswd.helper");
+
+const VERIFY_DELAY_MS = 1000;
+
+// Prints checks as "✅ name: message" lines with their hints; true when none is an error
+function printChecks(checks) {
+  const styles = {
+    ok: { color: "green", icon: "✅" },
+    warning: { color: "yellow", icon: "⚠️" },
+    error: { color: "red", icon: "❌" },
+  };
+  for (const check of checks) {
+    const { color, icon } = styles[check.status] || styles.error;
+    console.log(chalk[color](`${icon} ${check.name}: ${check.message}`));
+    for (const hint of check.hints || []) {
+      console.log(chalk.gray(`   ${hint}`));
+    }
+  }
+  return checks.every((check) => check.status !== "error");
+}
+
+// Prints each system check and exits when any of them is an error
+async function runSystemChecks(options) {
+  console.log(chalk.yellow("🔍 Checking system requirements..."));
+  const systemChecks = await checkSystemRequirements(options);
+  if (!printChecks(systemChecks)) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Probes the upstreams of the sites and exits when one is required and does
+ * not answer. Runs once the options are valid, so a bad address or
+ * --health-status is reported as such rather than as an unreachable upstream.
+ */
+async function runUpstreamChecks(sites, options) {
+  const checks = [];
+  for (const site of sites) {
+    checks.push(...(await checkUpstreamHealth(site, options)));
+  }
+  if (checks.length === 0) return;
+  console.log(chalk.yellow("\n🩺 Checking upstreams..."));
+  if (!printChecks(checks)) {
+    process.exit(1);
+  }
+}
+
+/**
+ * Requests the live site from the local nginx and prints the report; true when
+ * every check passed. Right after a reload the old workers may still answer,
+ * so it waits for them first.
+ */
+async function runVerification(domain, options, { afterReload = false } = {}) {
+  if (afterReload) {
+    await new Promise((resolve) => setTimeout(resolve, VERIFY_DELAY_MS));
+  }
+  console.log(
+    chalk.yellow(
+      `\n🔎 Verifying ${domain} against ${options.address || "127.0.0.1"}...`,
+    ),
+  );
+  const checks = await verifyDeployment(domain, options);
+  const passed = printChecks(checks);
+  const failed = checks.filter((check) => check.status === "error").length;
+  console.log(
+    passed
+      ? chalk.green(`✅ ${checks.length} checks passed`)
+      : chalk.red(`❌ ${failed} of ${checks.length} checks failed`),
+  );
+  return passed;
+}
+
+function printProblems(problems) {
+  for (const problem of problems) {
+    console.error(chalk.red(`❌ ${problem.message}`));
+    for (const hint of problem.hints || []) {
+      console.log(chalk.gray(`   ${hint}`));
+    }
+  }
+}
+
+/**
+ * Stops with a report when the configs ([{ file, content }]) clash with each
+ * other or with the enabled ones: nginx only logs "conflicting server name"
+ * and answers from one of the blocks. --force writes them anyway.
+ */
+function checkConflicts(sites, options, removedFiles = []) {
+  const conflicts = findConflicts(sites, removedFiles);
+  if (conflicts.length === 0) return;
+
+  const color = options.force ? chalk.yellow : chalk.red;
+  console.error(
+    color(
+      `${options.force ? "⚠️ " : "❌"} ${conflicts.length} conflict(s) with other Nginx configs:`,
+    ),
+  );
+  for (const conflict of conflicts) {
+    console.error(
+      color(`   ${conflict.file}:${conflict.line}: ${conflict.message}`),
+    );
+  }
+  if (!options.force) {
+    console.log(chalk.gray("   Use --force to go ahead anyway"));
+    process.exit(1);
+  }
+}
+
+async function setupSSL(domain, email, runner, options) {
+  console.log(
+    chalk.yellow("🔒 Setting up SSL certificate with Let's Encrypt..."),
+  );
+
+  try {
+    try {
+      execSync("which certbot", { stdio: "pipe" });
+      console.log(chalk.green("✅ Certbot found"));
+    } catch (error) {
+      console.log(chalk.yellow("📦 Installing Certbot..."));
+
+      try {
+        if (fs.existsSync("/etc/debian_version")) {
+          runner.run(
+            "sudo apt update && sudo apt install certbot python3-certbot-nginx -y",
+          );
+        } else if (fs.existsSync("/etc/redhat-release")) {
+          runner.run("sudo yum install certbot python3-certbot-nginx -y");
+        } else {
+          throw new Error("Unsupported OS for automatic certbot installation");
+        }
+      } catch (installError) {
+        console.error(chalk.red("❌ Failed to install certbot automatically"));
+        console.log(chalk.yellow("💡 Please install certbot manually:"));
+        console.log(
+          chalk.gray(
+            "   Ubuntu/Debian: sudo apt install certbot python3-certbot-nginx",
+          ),
+        );
+        console.log(
+          chalk.gray(
+            "   CentOS/RHEL: sudo yum install certbot python3-certbot-nginx",
+          ),
+        );
+        return false;
+      }
+    }
+
+    // Build certbot command; the certificate is always named after the domain
+    const domains = siteNames(options, domain)
+      .map((name) => `-d ${shellQuote(name)}`)
+      .join(" ");
+    const certbot = options.acmeCaBundle
+      ? `sudo env REQUESTS_CA_BUNDLE=${shellQuote(options.acmeCaBundle)} certbot`
+      : "sudo certbot";
+    const common = `${domains} --cert-name ${shellQuote(domain)} --email ${shellQuote(email)} --agree-tos --non-interactive --keep-until-expiring --expand${
+      options.acmeServer ? ` --server ${shellQuote(options.acmeServer)}` : ""
+    }`;
+    let certbotCmd;
+    if (options.sslMethod === "nginx") {
+      // certbot's nginx plugin answers the challenge through the running server
+      certbotCmd = `${certbot} certonly --nginx ${common}`;
+    } else if (options.sslMethod === "dns") {
+      // DNS-01 through the user's hook script; the only way to get wildcards
+      certbotCmd = `${certbot} certonly --manual --preferred-challenges dns --manual-auth-hook ${shellQuote(
+        dnsHookCommand("add", options.dnsHook),
+      )} --manual-cleanup-hook ${shellQuote(
+        dnsHookCommand("remove", options.dnsHook),
+      )} ${common}`;
+    } else {
+      // HTTP-01 through the generated acme-challenge location, nginx keeps serving
+      if (!options.reload) {
+        console.log(
+          chalk.yellow(
+            "⚠️  --no-reload: the acme-challenge location must already be live for webroot issuance",
+          ),
+        );
+      }
+      runner.run(`sudo mkdir -p ${ACME_WEBROOT}`);
+      certbotCmd = `${certbot} certonly --webroot -w ${ACME_WEBROOT} ${common}`;
+    }
+    if (!runner.dryRun) {
+      console.log(chalk.gray(`Running: ${certbotCmd}`));
+    }
+
+    runner.run(certbotCmd);
+    if (!runner.dryRun) {
+      console.log(chalk.green("✅ SSL certificate issued successfully!"));
+    }
+
+    return true;
+  } catch (error) {
+    console.error(chalk.red("❌ SSL setup failed:"), error.message);
+    console.log(chalk.yellow("💡 You can set up SSL manually later with:"));
+    console.log(
+      chalk.gray(
+        `   sudo certbot certonly --webroot -w ${ACME_WEBROOT} -d ${domain}`,
+      ),
+    );
+    return false;
+  }
+}
+
+// Writes or removes the site's conf.d limit zones to match its options
+async function applyLimitZones(options, runner, transaction) {
+  const { zones } = getSitePaths(options.domain);
+  const zonesConfig = limitZones(options, options.domain);
+  transaction.backup(zones);
+
+  if (zonesConfig) {
+    console.log(chalk.yellow("📄 Writing rate limit zones..."));
+    await runner.writeFile(zones, zonesConfig);
+  } else if (isLinkPresent(zones)) {
+    console.log(chalk.yellow("🗑️  Removing unused rate limit zones..."));
+    await runner.remove(zones);
+  }
+}
+
+/**
+ * Builds the htpasswd file for the site's and its routes' basic auth users.
+ * New users are asked for a password; known users keep theirs when the answer
+ * is empty, or without asking when askKnown is false. Null when no user is
+ * needed.
+ */
+async function collectHtpasswd(options, { askKnown = true } = {}) {
+  const users = accessUsers(options);
+  if (users.length === 0) return null;
+
+  const existing = readHtpasswd(options.domain);
+  const entries = new Map();
+  for (const user of users) {
+    const known = existing.get(user);
+    if (options.dryRun || (known && !askKnown)) {
+      entries.set(user, known || "<password hash>");
+      continue;
+    }
+
+    const password = await askPassword(
+      known
+        ? `🔑 New password for ${user} (empty keeps the current one): `
+        : `🔑 Password for ${user}: `,
+    );
+    if (password) {
+      entries.set(user, apr1Hash(password));
+    } else if (known) {
+      entries.set(user, known);
+    } else {
+      console.error(chalk.red(`❌ A password is required for ${user}`));
+      console.log(
+        chalk.gray(
+          `   Without a terminal, give one password per line on stdin for: ${users.join(", ")}`,
+        ),
+      );
+      process.exit(1);
+    }
+  }
+  return formatHtpasswd(entries);
+}
+
+/**
+ * Writes or removes the site's htpasswd file to match options.htpasswd. The
+ * file is created root:<nginx user> 0640 before the hashes go in, and is left
+ * out of the rollback: a failed test keeps at most a password file nothing
+ * uses yet.
+ */
+async function applyHtpasswd(options, runner) {
+  const filePath = htpasswdPath(options.domain);
+
+  if (!options.htpasswd) {
+    if (isLinkPresent(filePath)) {
+      console.log(chalk.yellow("🗑️  Removing unused password file..."));
+      await runner.remove(filePath);
+    }
+    return;
+  }
+  if (formatHtpasswd(readHtpasswd(options.domain)) === options.htpasswd) {
+    return;
+  }
+
+  console.log(chalk.yellow("🔑 Writing password file..."));
+  runner.run(
+    `sudo mkdir -p ${htpasswdDir()} && sudo touch ${filePath} && sudo chown root:${getNginxUser()} ${filePath} && sudo chmod 640 ${filePath}`,
+  );
+  await runner.writeFile(filePath, options.htpasswd);
+}
+
+/**
+ * Installs --cert/--key/--chain into the managed directory: fullchain.pem is
+ * public, privkey.pem is readable by root only (nginx's master process loads
+ * it before dropping privileges).
+ */
+async function installCustomCertificate(options, runner, transaction) {
+  const target = customCertificate(options.domain);
+  const { fullchain } = loadCustomCertificate(options);
+  transaction.backup(target.certificate);
+  transaction.backup(target.key);
+
+  console.log(chalk.yellow("🔒 Installing certificate..."));
+  runner.run(
+    `sudo install -D -m 600 -o root -g root ${shellQuote(path.resolve(options.key))} ${target.key}`,
+  );
+  await runner.writeFile(target.certificate, fullchain);
+}
+
+// Private keys are piped to tee, so they never show up in a diff or a command line
+function installPrivateKey(runner, keyPem, target) {
+  runner.run(
+    `sudo install -D -m 600 -o root -g root /dev/null ${target} && sudo tee ${target} > /dev/null`,
+    { input: keyPem, stdio: ["pipe", "inherit", "inherit"] },
+  );
+}
+
+/**
+ * A certificate from the local CA for --ssl self-signed, or null while the
+ * installed one is still current (same CA, all names, not about to expire).
+ */
+function planLocalCertificate(options) {
+  const names = siteNames(options, options.domain);
+  const installed = customCertificate(options.domain);
+  if (
+    fs.existsSync(installed.key) &&
+    isLocalCertificateCurrent(installed.certificate, names)
+  ) {
+    return null;
+  }
+  return issueLocalCertificate(names);
+}
+
+/**
+ * Installs options.localCertificate like a --cert, writing the local CA first
+ * when this run created it. The CA stays out of the rollback: it is only used
+ * through the certificates it signs.
+ */
+async function installLocalCertificate(options, runner, transaction) {
+  const issued = options.localCertificate;
+  if (!issued) return;
+
+  if (issued.ca.created) {
+    console.log(chalk.yellow("🔏 Creating the local CA..."));
+    installPrivateKey(runner, issued.ca.keyPem, localCaPaths().key);
+    await runner.writeFile(
+      localCaPaths().certificate,
+      issued.ca.certificatePem,
+    );
+    issued.ca.created = false;
+  }
+
+  const target = customCertificate(options.domain);
+  transaction.backup(target.certificate);
+  transaction.backup(target.key);
+  console.log(chalk.yellow("🔒 Installing self-signed certificate..."));
+  installPrivateKey(runner, issued.key, target.key);
+  await runner.writeFile(target.certificate, issued.fullchain);
+}
+
+function printTrustInstructions(domain) {
+  console.log(
+    chalk.gray(
+      `\n🔏 Clients have to trust the local CA (${localCaPaths().certificate}) once:`,
+    ),
+  );
+  for (const line of trustInstructions(domain)) {
+    console.log(chalk.gray(`   ${line}`));
+  }
+}
+
+// The "✅ Access:" line, e.g. "basic auth (admin), allow 10.0.0.0/8, deny all"
+function accessSummary(options) {
+  const access = siteAccess(options);
+  return [
+    ...(access.basicAuth ? [`basic auth (${access.basicAuth})`] : []),
+    ...access.rules.map(({ action, rule }) => `${action} ${rule}`),
+  ].join(", ");
+}
+
+// Writes the config, tests it and reloads; restores the previous files when the test fails
+async function applyNginxConfig(
+  options,
+  runner,
+  sitesAvailable,
+  sitesEnabled,
+  nginxConfig,
+  shouldLink,
+) {
+  const transaction = createTransaction(runner);
+  transaction.backup(sitesAvailable);
+  transaction.backup(sitesEnabled);
+
+  if (options.cert) {
+    await installCustomCertificate(options, runner, transaction);
+  }
+  await installLocalCertificate(options, runner, transaction);
+  await applyLimitZones(options, runner, transaction);
+  await applyHtpasswd(options, runner);
+  // An unchanged config keeps its "Generated on" line, so --dry-run shows no diff
+  const existing = readFileIfExists(sitesAvailable);
+  console.log(chalk.yellow("📄 Writing configuration file..."));
+  await runner.writeFile(
+    sitesAvailable,
+    isSameConfig(existing, nginxConfig) ? existing : nginxConfig,
+  );
+  if (!runner.dryRun) {
+    console.log(chalk.green("✅ Configuration written to:", sitesAvailable));
+  }
+
+  if (shouldLink) {
+    console.log(chalk.yellow("🔗 Creating symbolic link..."));
+    await runner.link(sitesAvailable, sitesEnabled);
+    if (!runner.dryRun) {
+      console.log(chalk.green("✅ Symbolic link created:", sitesEnabled));
+    }
+  }
+
+  if (!(await testAndReload(options, runner, transaction))) {
+    process.exit(1);
+  }
+}
+
+function renderNginxConfig(options, certificate) {
+  const { domain, port, template } = options;
+  try {
+    return renderTemplate(template, { ...options, certificate }, domain, port);
+  } catch (error) {
+    console.error(chalk.red("❌ Failed to render template:"), error.message);
+    process.exit(1);
+  }
+}
+
+async function setupNginxServerBlock(cliOptions) {
+  const options = {
+    ...cliOptions,
+    template: cliOptions.template || defaultTemplateName(cliOptions),
+  };
+  const { domain, port, dryRun, force, template } = options;
+  console.log(chalk.blue.bold("🚀 fast-nginx v" + packageJson.version));
+  console.log(chalk.gray("Nginx Server Block Automation Tool"));
+  console.log(chalk.gray("=====================================\n"));
+  const runner = createActionRunner(options);
+  await runSystemChecks(options);
+  keepNginxRunning(runner);
+
+  console.log(chalk.yellow("📋 Validating inputs..."));
+
+  const problems = validateSiteOptions(options);
+  if (problems.length > 0) {
+    printProblems(problems);
+    process.exit(1);
+  }
+
+  console.log(chalk.green("✅ Domain:", domain));
+  if (options.root) {
+    console.log(chalk.green("✅ Root:", options.root));
+  } else if (options.upstream) {
+    console.log(chalk.green("✅ Upstream:", upstreamSummary(options, port)));
+  } else {
+    console.log(chalk.green("✅ Port:", port));
+  }
+  if (options.routes) {
+    console.log(chalk.green("✅ Routes:", routeSummary(options)));
+  }
+  if (hasAccessRules(siteAccess(options))) {
+    console.log(chalk.green("✅ Access:", accessSummary(options)));
+  }
+  console.log(chalk.green("✅ Template:", template));
+
+  if (sslProvider(options) === "letsencrypt") {
+    console.log(chalk.green("✅ SSL setup requested"));
+    console.log(chalk.green("✅ Email:", options.email));
+    console.log(chalk.green("✅ SSL method:", options.sslMethod));
+  } else if (sslProvider(options) === "self-signed") {
+    console.log(chalk.green("✅ SSL: self-signed, from the local CA"));
+  }
+  if (siteAliases(options, domain).length > 0) {
+    console.log(
+      chalk.green("✅ Aliases:", siteAliases(options, domain).join(", ")),
+    );
+  }
+  await runUpstreamChecks([options], options);
+
+  const { sitesAvailable, sitesEnabled } = getSitePaths(domain);
+
+  console.log(chalk.yellow("\n📝 Generating Nginx configuration..."));
+  let existingCertificate = findCertificate(domain);
+  if (options.cert) {
+    const { info } = loadCustomCertificate(options);
+    existingCertificate = customCertificate(domain);
+    console.log(
+      chalk.green(
+        "✅ Certificate:",
+        `${nameField(info.subject, "CN") || options.cert}, issued by ${
+          nameField(info.issuer, "CN") || "unknown"
+        }, expires ${info.validTo.toISOString().slice(0, 10)} (${info.daysRemaining}d)`,
+      ),
+    );
+    if (info.daysRemaining < EXPIRY_WARNING_DAYS) {
+      console.log(
+        chalk.yellow(
+          `⚠️  The certificate expires in ${info.daysRemaining} days; install a renewed one with --cert again`,
+        ),
+      );
+    }
+  } else if (sslProvider(options) === "self-signed") {
+    existingCertificate = customCertificate(domain);
+    options.localCertificate = planLocalCertificate(options);
+    if (!options.localCertificate) {
+      console.log(
+        chalk.green("✅ Certificate found:", existingCertificate.certificate),
+      );
+    } else {
+      console.log(
+        chalk.green(
+          "✅ Certificate:",
+          `${siteNames(options, domain).join(", ")}, issued by ${nameField(
+            options.localCertificate.ca.certificate.subject,
+            "CN",
+          )}${options.localCertificate.ca.created ? " (new)" : ""}`,
+        ),
+      );
+    }
+  } else if (existingCertificate) {
+    console.log(
+      chalk.green("✅ Certificate found:", existingCertificate.certificate),
+    );
+  }
+  const nginxConfig = renderNginxConfig(options, existingCertificate);
+  // Checked in the form it ends up in, with the HTTPS block certbot enables
+  checkConflicts(
+    [
+      {
+        file: sitesAvailable,
+        content:
+          sslProvider(options) === "letsencrypt" && !existingCertificate
+            ? renderNginxConfig(options, letsEncryptCertificate(domain))
+            : nginxConfig,
+      },
+    ],
+    options,
+  );
+
+  try {
+    if (fs.existsSync(sitesAvailable) && !force && dryRun) {
+      console.log(
+        chalk.gray(
+          `   Configuration for ${domain} already exists (would ask before overwriting)`,
+        ),
+      );
+    } else if (fs.existsSync(sitesAvailable) && !force) {
+      const userResponse = await askUser(
+        options,
+        ` ⚠️ Configuration for ${domain} already exists. Overwrite?`,
+      );
+      if (!userResponse) {
+        console.log(chalk.yellow(`⚠️ Operation cancelled by user`));
+        console.log(
+          chalk.gray(`   Existing configuration at: ${sitesAvailable}`),
+        );
+        console.log(
+          chalk.gray(`   Use --force flag to override without prompting`),
+        );
+        process.exit(0);
+      }
+    }
+    let shouldLink = true;
+    if (fs.existsSync(sitesEnabled) && !force && !dryRun) {
+      shouldLink = await askUser(
+        options,
+        ` ⚠️ Nginx enabled file already exists. Overwrite?`,
+      );
+    }
+    options.htpasswd = await collectHtpasswd(options);
+
+    await applyNginxConfig(
+      options,
+      runner,
+      sitesAvailable,
+      sitesEnabled,
+      nginxConfig,
+      shouldLink,
+    );
+
+    let sslSuccess = false;
+    if (sslProvider(options) === "letsencrypt") {
+      sslSuccess = await setupSSL(domain, options.email, runner, options);
+    }
+
+    // The HTTPS server block can only be loaded once the certificate exists
+    if (sslSuccess) {
+      console.log(chalk.yellow("\n🔐 Enabling HTTPS server block..."));
+      await applyNginxConfig(
+        options,
+        runner,
+        sitesAvailable,
+        sitesEnabled,
+        renderNginxConfig(options, letsEncryptCertificate(domain)),
+        false,
+      );
+    }
+
+    if (dryRun) {
+      printDryRunSummary(runner);
+      return;
+    }
+    const selfSigned = sslProvider(options) === "self-signed";
+
+    console.log(
+      chalk.green.bold("\n🎉 Server block setup completed successfully!"),
+    );
+    console.log(chalk.gray("====================================="));
+    console.log(chalk.white(`📋 Configuration Summary:`));
+    console.log(chalk.white(`   Domain: ${domain}`));
+    console.log(chalk.white(`   Template: ${template}`));
+    if (options.root) {
+      console.log(chalk.white(`   Root: ${options.root}`));
+    } else {
+      console.log(
+        chalk.white(`   Upstream: ${upstreamSummary(options, port)}`),
+      );
+    }
+    if (options.routes) {
+      console.log(chalk.white(`   Routes: ${routeSummary(options)}`));
+    }
+    console.log(chalk.white(`   Config: ${sitesAvailable}`));
+
+    if (sslSuccess) {
+      console.log(chalk.green(`   SSL: ✅ HTTPS enabled`));
+      console.log(chalk.white(`   URL: https://${domain}`));
+    } else if (options.cert) {
+      console.log(chalk.green(`   SSL: ✅ HTTPS enabled (own certificate)`));
+      console.log(chalk.white(`   URL: https://${domain}`));
+    } else if (selfSigned) {
+      console.log(chalk.green(`   SSL: ✅ HTTPS enabled (self-signed)`));
+      console.log(chalk.white(`   URL: https://${domain}`));
+    } else if (options?.ssl) {
+      console.log(
+        chalk.yellow(`   SSL: ⚠️ Setup attempted but may have failed`),
+      );
+    }
+
+    if (options.verify !== false && options.reload !== false) {
+      await runVerification(domain, options, { afterReload: true });
+    }
+
+    console.log(chalk.gray("\n💡 Next steps:"));
+    console.log(
+      chalk.gray(
+        options.root
+          ? `   1. Deploy your files into ${options.root}`
+          : options.upstream
+            ? `   1. Ensure your app is running on ${upstreamSummary(options, port)}`
+            : `   1. Ensure your app is running on port ${port}`,
+      ),
+    );
+
+    if (options.cert) {
+      console.log(chalk.gray(`2. Your site is ready at https://${domain}`));
+      console.log(
+        chalk.gray(
+          `   3. Install a renewed certificate before it expires (check: sudo fast-nginx certs)`,
+        ),
+      );
+    } else if (selfSigned) {
+      console.log(chalk.gray(`2. Your site is ready at https://${domain}`));
+      console.log(
+        chalk.gray(
+          `   3. Renew it before it expires: sudo fast-nginx certs --renew`,
+        ),
+      );
+    } else if (!sslSuccess && !options.ssl) {
+      console.log(chalk.gray(`2. Point your domain DNS to this server`));
+      console.log(
+        chalk.gray(
+          `   3. Set up SSL: fast-nginx -d ${domain} --ssl --email your@email.com`,
+        ),
+      );
+    } else if (sslSuccess) {
+      console.log(chalk.gray(`2. Your site is ready at https://${domain}`));
+      console.log(
+        chalk.gray(`   3. SSL will auto-renew (check: sudo fast-nginx certs)`),
+      );
+    }
+    console.log(
+      chalk.gray(
+        `   4. Monitor logs: sudo tail -f /var/log/nginx/${domain}_*.log`,
+      ),
+    );
+    if (selfSigned) {
+      printTrustInstructions(domain);
+    }
+  } catch (error) {
+    console.error(chalk.red("❌ Error during setup:"), error.message);
+    if (error.code === "EACCES") {
+      console.log(
+        chalk.yellow(
+          "💡 Try running with sudo: sudo fast-nginx -d your-domain.com",
+        ),
+      );
+    }
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  SSL_METHODS,
+  printProblems,
+  checkConflicts,
+  runSystemChecks,
+  runUpstreamChecks,
+  runVerification,
+  setupSSL,
+  applyLimitZones,
+  collectHtpasswd,
+  applyHtpasswd,
+  installCustomCertificate,
+  planLocalCertificate,
+  installLocalCertificate,
+  printTrustInstructions,
+  applyNginxConfig,
+  renderNginxConfig,
+  setupNginxServerBlock,
+};
@@ -0,0 +1,213 @@
+const fs = require("fs");
+const path = require("path");
+const chalk = require("chalk");
+const {
+  createActionRunner,
+  printDryRunSummary,
+} = require("../utils/action.helper");
+const { createTransaction } = require("../utils/transaction.helper");
+const { keepNginxRunning, testAndReload } = require("../utils/nginx.helper");
+const { getSitePaths, readManagedSite } = require("../utils/sites.helper");
+const {
+  LETSENCRYPT_LIVE_DIR,
+  customCertificate,
+} = require("../utils/certificate.helper");
+const validateDomain = require("../validators/domain.validator");
+const { askUser } = require("../utils/ask.helper");
+const { isLinkPresent } = require("../utils/file.helper");
+const { htpasswdPath } = require("../utils/htpasswd.helper");
+const { shellQuote } = require("../utils/dns.helper");
+const { checkConflicts } = require("./setup.command");
+
+const NGINX_LOG_DIR = "/var/log/nginx";
+
+// Resolves the site for a lifecycle command, exiting when it cannot be managed
+function loadSite(options) {
+  const { domain } = options;
+  if (!validateDomain(domain)) {
+    console.error(chalk.red("❌ Invalid domain format:", domain));
+    process.exit(1);
+  }
+
+  const paths = getSitePaths(domain);
+  if (!fs.existsSync(paths.sitesAvailable)) {
+    console.error(
+      chalk.red("❌ No configuration found:", paths.sitesAvailable),
+    );
+    process.exit(1);
+  }
+
+  const site = readManagedSite(paths.sitesAvailable);
+  if (!site && !options.force) {
+    console.error(
+      chalk.red(`❌ ${paths.sitesAvailable} was not generated by fast-nginx`),
+    );
+    console.log(chalk.gray("   Use --force to manage it anyway"));
+    process.exit(1);
+  }
+
+  return { ...paths, site };
+}
+
+async function confirm(options, question) {
+  if (options.dryRun) return true;
+  const answer = await askUser(options, question);
+  if (!answer) {
+    console.log(chalk.yellow("⚠️ Operation cancelled by user"));
+  }
+  return answer;
+}
+
+function finish(runner, message) {
+  if (runner.dryRun) {
+    printDryRunSummary(runner);
+  } else {
+    console.log(chalk.green.bold(`\n🎉 ${message}`));
+  }
+}
+
+async function enableSite(options) {
+  const { domain } = options;
+  const { sitesAvailable, sitesEnabled } = loadSite(options);
+
+  if (isLinkPresent(sitesEnabled)) {
+    console.log(chalk.green(`✅ ${domain} is already enabled`));
+    return;
+  }
+  // Its names or sockets may have been claimed while it was disabled
+  const content = fs.readFileSync(sitesAvailable, "utf8");
+  checkConflicts([{ file: sitesAvailable, content }], options);
+  if (!(await confirm(options, `Enable ${domain}?`))) return;
+
+  const runner = createActionRunner(options);
+  keepNginxRunning(runner);
+  const transaction = createTransaction(runner);
+  transaction.backup(sitesEnabled);
+
+  console.log(chalk.yellow("🔗 Creating symbolic link..."));
+  await runner.link(sitesAvailable, sitesEnabled);
+  if (!(await testAndReload(options, runner, transaction))) {
+    process.exit(1);
+  }
+  finish(runner, `${domain} enabled`);
+}
+
+async function disableSite(options) {
+  const { domain } = options;
+  const { sitesEnabled } = loadSite(options);
+
+  if (!isLinkPresent(sitesEnabled)) {
+    console.log(chalk.green(`✅ ${domain} is already disabled`));
+    return;
+  }
+  if (!(await confirm(options, `Disable ${domain}?`))) return;
+
+  const runner = createActionRunner(options);
+  keepNginxRunning(runner);
+  const transaction = createTransaction(runner);
+  transaction.backup(sitesEnabled);
+
+  console.log(chalk.yellow("🔗 Removing symbolic link..."));
+  await runner.remove(sitesEnabled);
+  if (!(await testAndReload(options, runner, transaction))) {
+    process.exit(1);
+  }
+  finish(runner, `${domain} disabled`);
+}
+
+function findLogFiles(domain) {
+  if (!fs.existsSync(NGINX_LOG_DIR)) return [];
+  return fs
+    .readdirSync(NGINX_LOG_DIR)
+    .filter((entry) => entry.startsWith(`${domain}_`) && entry.includes(".log"))
+    .map((entry) => path.join(NGINX_LOG_DIR, entry));
+}
+
+async function removeSite(options) {
+  const { domain } = options;
+  const { sitesAvailable, sitesEnabled, zones } = loadSite(options);
+
+  const deleteCertificate =
+    options.deleteCertificate || options.revokeCertificate;
+  const extras = [];
+  if (deleteCertificate) extras.push("its certificate");
+  if (options.deleteLogs) extras.push("its logs");
+  const question = `Remove ${domain}${extras.length ? ` and ${extras.join(" and ")}` : ""}?`;
+  if (!(await confirm(options, question))) return;
+
+  const runner = createActionRunner(options);
+  keepNginxRunning(runner);
+  const transaction = createTransaction(runner);
+  transaction.backup(sitesAvailable);
+  transaction.backup(sitesEnabled);
+  transaction.backup(zones);
+
+  console.log(chalk.yellow("🗑️  Removing configuration..."));
+  if (isLinkPresent(sitesEnabled)) {
+    await runner.remove(sitesEnabled);
+  }
+  await runner.remove(sitesAvailable);
+  if (isLinkPresent(zones)) {
+    await runner.remove(zones);
+  }
+  if (!(await testAndReload(options, runner, transaction))) {
+    process.exit(1);
+  }
+  // The password file goes once nginx no longer references it
+  if (isLinkPresent(htpasswdPath(domain))) {
+    await runner.remove(htpasswdPath(domain));
+  }
+
+  // Only touch the certificate once nginx no longer references it
+  if (deleteCertificate) {
+    const custom = customCertificate(domain);
+    const hasCustom = isLinkPresent(custom.certificate);
+    if (hasCustom) {
+      console.log(chalk.yellow("🔒 Removing installed certificate..."));
+      await runner.remove(custom.key);
+      await runner.remove(custom.certificate);
+      // The site is already gone, so a directory left behind is only reported
+      const directory = path.dirname(custom.certificate);
+      try {
+        runner.run(`sudo rmdir ${directory}`, { stdio: "pipe" });
+      } catch (error) {
+        console.log(
+          chalk.yellow(
+            `⚠️  Could not remove ${directory}: ${String(error.stderr || error.message).trim()}`,
+          ),
+        );
+      }
+    }
+    if (fs.existsSync(path.join(LETSENCRYPT_LIVE_DIR, domain))) {
+      console.log(chalk.yellow("🔒 Removing certificate..."));
+      const certbotCmd = options.revokeCertificate
+        ? `sudo certbot revoke --cert-name ${shellQuote(domain)} --delete-after-revoke --non-interactive`
+        : `sudo certbot delete --cert-name ${shellQuote(domain)} --non-interactive`;
+      try {
+        runner.run(certbotCmd);
+      } catch (error) {
+        console.error(
+          chalk.red("❌ Failed to remove certificate:"),
+          error.message,
+        );
+      }
+    } else if (!hasCustom) {
+      console.log(chalk.gray(`   No certificate for ${domain}`));
+    }
+  }
+
+  if (options.deleteLogs) {
+    console.log(chalk.yellow("🧹 Removing logs..."));
+    for (const logFile of findLogFiles(domain)) {
+      await runner.remove(logFile);
+    }
+  }
+
+  finish(runner, `${domain} removed`);
+}
+
+module.exports = {
+  enableSite,
+  disableSite,
+  removeSite,
+};
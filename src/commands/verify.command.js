@@ -0,0 +1,18 @@
+const chalk = require("chalk");
+const validateDomain = require("../validators/domain.validator");
+const { runVerification } = require("./setup.command");
+
+// Checks a live site; exits 1 when any check fails so scripts can act on it
+async function verifySite(options) {
+  if (!validateDomain(options.domain)) {
+    console.error(chalk.red("❌ Invalid domain format:", options.domain));
+    process.exit(1);
+  }
+  if (!(await runVerification(options.domain, options))) {
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  verifySite,
+};
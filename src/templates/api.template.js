@@ -0,0 +1,67 @@
+const {
+  configHeader,
+  connectionHeader,
+  corsHeaders,
+  corsPreflight,
+  upstreamSummary,
+  proxyPass,
+  routeLocations,
+  routeSummary,
+  serverBlocks,
+  SECURITY_OPTIONS,
+  LIMIT_OPTIONS,
+  ACCESS_OPTIONS,
+  CORS_OPTIONS,
+} = require("./snippets");
+
+function generateApiTemplate(options, domain, port) {
+  const body = `${corsHeaders(options, domain)}${routeLocations(options, domain)}    location / {
+${corsPreflight(options, domain)}        proxy_pass ${proxyPass(options, domain, port)};
+        proxy_http_version 1.1;
+        proxy_set_header Upgrade $http_upgrade;
+        proxy_set_header Connection ${connectionHeader(options, domain)};
+        proxy_set_header Host $host;
+        proxy_set_header X-Real-IP $remote_addr;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+        proxy_set_header X-Forwarded-Proto $scheme;
+        proxy_cache_bypass $http_upgrade;
+        proxy_redirect off;
+        
+        # API timeouts
+        proxy_connect_timeout 30s;
+        proxy_send_timeout 30s;
+        proxy_read_timeout 30s;
+    }
+    
+    access_log /var/log/nginx/${domain}_access.log;
+    error_log /var/log/nginx/${domain}_error.log;`;
+
+  return `${configHeader(domain, {
+    Template: "api",
+    Upstream: upstreamSummary(options, port),
+    Routes: routeSummary(options),
+  })}
+
+${serverBlocks(options, domain, body)}
+`;
+}
+
+module.exports = {
+  name: "api",
+  description: "JSON API behind a reverse proxy with CORS and timeouts",
+  options: [
+    "www",
+    "alias",
+    "certificate",
+    "upstream",
+    "balance",
+    "keepalive",
+    "routes",
+    ...SECURITY_OPTIONS,
+    ...LIMIT_OPTIONS,
+    ...ACCESS_OPTIONS,
+    ...CORS_OPTIONS,
+  ],
+  generate: generateApiTemplate,
+  generateApiTemplate,
+};
@@ -1,179 +1,54 @@
-function generateBasicNginxConfigTemplate(options, domain, port) {
-    return `# fast-nginx generated configuration for ${domain}
-# Generated on: ${new Date().toISOString()}
-
-server {
-    listen 80;
-    server_name ${domain}${options.www ? ` www.${domain}` : ""};
+const {
+    configHeader,
+    connectionHeader,
+    upstreamSummary,
+    proxyPass,
+    routeLocations,
+    routeSummary,
+    serverBlocks,
+    SECURITY_OPTIONS,
+    LIMIT_OPTIONS,
+    ACCESS_OPTIONS,
+} = require("./snippets");
 
-    location / {
-        proxy_pass http://127.0.0.1:${port};
+function generateBasicNginxConfigTemplate(options, domain, port) {
+    const body = `${routeLocations(options, domain)}    location / {
+        proxy_pass ${proxyPass(options, domain, port)};
         proxy_http_version 1.1;
         proxy_set_header Upgrade $http_upgrade;
-        proxy_set_header Connection 'upgrade';
+        proxy_set_header Connection ${connectionHeader(options, domain)};
         proxy_set_header Host $host;
         proxy_cache_bypass $http_upgrade;
         proxy_set_header X-Real-IP $remote_addr;
         proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
         proxy_set_header X-Forwarded-Proto $scheme;
-    }
-    
-    listen 443 ssl;
-    ssl_certificate /etc/letsencrypt/live/${domain}/fullchain.pem; 
-    ssl_certificate_key /etc/letsencrypt/live/${domain}/privkey.pem;
-    include /etc/letsencrypt/options-ssl-nginx.conf;
-    ssl_dhparam /etc/letsencrypt/ssl-dhparams.pem;
-}
+    }`;
 
-server {
-    if ($host = ${domain}) {
-        return 301 https://$host$request_uri;
-    } # managed by Certbot
+    return `${configHeader(domain, {
+        Template: "basic",
+        Upstream: upstreamSummary(options, port),
+        Routes: routeSummary(options),
+    })}
 
-    listen 80;
-    server_name ${domain};
-    return 404; # managed by Certbot
-}`;
+${serverBlocks(options, domain, body)}
+`;
 }
 
-
-
-
 module.exports = {
+    name: "basic",
+    description: "Reverse proxy for a single upstream application",
+    options: [
+        "www",
+        "alias",
+        "certificate",
+        "upstream",
+        "balance",
+        "keepalive",
+        "routes",
+        ...SECURITY_OPTIONS,
+        ...LIMIT_OPTIONS,
+        ...ACCESS_OPTIONS,
+    ],
+    generate: generateBasicNginxConfigTemplate,
     generateBasicNginxConfigTemplate
 }
-
-
-
-
-
-
-
-
-
-
-
-
-function generateApiTemplate(domain, port) {
-    return `# fast-nginx API configuration for ${domain}
-# Generated on: ${new Date().toISOString()}
-
-server {
-    listen 80;
-    listen [::]:80;
-    
-    server_name ${domain}${options.www ? ` www.${domain}` : ""};
-    
-    # API-specific headers
-    add_header X-Frame-Options "DENY" always;
-    add_header X-Content-Type-Options "nosniff" always;
-    add_header X-XSS-Protection "1; mode=block" always;
-    add_header Referrer-Policy "strict-origin-when-cross-origin" always;
-    
-    # CORS headers (adjust as needed)
-    add_header Access-Control-Allow-Origin "*" always;
-    add_header Access-Control-Allow-Methods "GET, POST, PUT, DELETE, OPTIONS" always;
-    add_header Access-Control-Allow-Headers "DNT,User-Agent,X-Requested-With,If-Modified-Since,Cache-Control,Content-Type,Range,Authorization" always;
-    
-    # Handle preflight requests
-    location / {
-        if ($request_method = 'OPTIONS') {
-            add_header Access-Control-Allow-Origin "*";
-            add_header Access-Control-Allow-Methods "GET, POST, PUT, DELETE, OPTIONS";
-            add_header Access-Control-Allow-Headers "DNT,User-Agent,X-Requested-With,If-Modified-Since,Cache-Control,Content-Type,Range,Authorization";
-            add_header Access-Control-Max-Age 1728000;
-            add_header Content-Type "text/plain; charset=utf-8";
-            add_header Content-Length 0;
-            return 204;
-        }
-        
-        proxy_pass http://localhost:${port};
-        proxy_http_version 1.1;
-        proxy_set_header Upgrade $http_upgrade;
-        proxy_set_header Connection 'upgrade';
-        proxy_set_header Host $host;
-        proxy_set_header X-Real-IP $remote_addr;
-        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
-        proxy_set_header X-Forwarded-Proto $scheme;
-        proxy_cache_bypass $http_upgrade;
-        proxy_redirect off;
-        
-        # API timeouts
-        proxy_connect_timeout 30s;
-        proxy_send_timeout 30s;
-        proxy_read_timeout 30s;
-    }
-    
-    # Rate limiting for API
-    limit_req_zone $binary_remote_addr zone=api:10m rate=10r/s;
-    limit_req zone=api burst=20 nodelay;
-    
-    # Disable unnecessary logs for API
-    access_log /var/log/nginx/${domain}_access.log;
-    error_log /var/log/nginx/${domain}_error.log;
-    
-    # Security
-    server_tokens off;
-}`;
-}
-
-function generateSpaTemplate(domain, port) {
-    return `# fast-nginx SPA configuration for ${domain}
-# Generated on: ${new Date().toISOString()}
-
-server {
-    listen 80;
-    listen [::]:80;
-    
-    server_name ${domain}${options.www ? ` www.${domain}` : ""};
-    
-    # Security headers for SPA
-    add_header X-Frame-Options "SAMEORIGIN" always;
-    add_header X-Content-Type-Options "nosniff" always;
-    add_header X-XSS-Protection "1; mode=block" always;
-    add_header Referrer-Policy "no-referrer-when-downgrade" always;
-    
-    # SPA routing - try files first, then proxy to app
-    location / {
-        try_files $uri $uri/ @proxy;
-    }
-    
-    # Proxy fallback for SPA
-    location @proxy {
-        proxy_pass http://localhost:${port};
-        proxy_http_version 1.1;
-        proxy_set_header Upgrade $http_upgrade;
-        proxy_set_header Connection 'upgrade';
-        proxy_set_header Host $host;
-        proxy_set_header X-Real-IP $remote_addr;
-        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
-        proxy_set_header X-Forwarded-Proto $scheme;
-        proxy_cache_bypass $http_upgrade;
-        proxy_redirect off;
-    }
-    
-    # Static assets caching
-    location ~* \.(js|css|png|jpg|jpeg|gif|ico|svg|woff|woff2|ttf|eot)$ {
-        expires 1y;
-        add_header Cache-Control "public, immutable";
-        try_files $uri @proxy;
-    }
-    
-    # Gzip compression
-    gzip on;
-    gzip_vary on;
-    gzip_min_length 1024;
-    gzip_types
-        text/plain
-        text/css
-        text/xml
-        text/javascript
-        application/x-javascript
-        application/xml+rss
-        application/javascript
-        application/json;
-    
-    # Security
-    server_tokens off;
-}`;
-}
\ No newline at end of file
@@ -0,0 +1,61 @@
+const basicTemplate = require("./basic.template");
+const apiTemplate = require("./api.template");
+const spaTemplate = require("./spa.template");
+const staticTemplate = require("./static.template");
+const { listUserTemplates, loadUserTemplate } = require("./user.template");
+
+const templates = [basicTemplate, apiTemplate, spaTemplate, staticTemplate];
+
+// Used when no template is given: --root means there is no upstream to proxy to
+function defaultTemplateName(options) {
+  return options.root ? staticTemplate.name : basicTemplate.name;
+}
+
+function listTemplates() {
+  const builtInNames = templates.map((template) => template.name);
+  const userTemplates = listUserTemplates().filter(
+    (template) => !builtInNames.includes(template.name),
+  );
+
+  return [...templates, ...userTemplates].map(
+    ({ name, description, options }) => ({
+      name,
+      description,
+      options,
+    }),
+  );
+}
+
+function getTemplate(name) {
+  return (
+    templates.find((template) => template.name === name) ||
+    loadUserTemplate(name)
+  );
+}
+
+function renderTemplate(name, options, domain, port) {
+  const template = getTemplate(name);
+  if (!template) {
+    const available = listTemplates()
+      .map((item) => item.name)
+      .join(", ");
+    throw new Error(
+      `Unknown template "${name}". Available templates: ${available}`,
+    );
+  }
+
+  // Only hand the template the options it declares it understands
+  const templateOptions = {};
+  for (const key of template.options) {
+    templateOptions[key] = options[key];
+  }
+
+  return template.generate(templateOptions, domain, port);
+}
+
+module.exports = {
+  defaultTemplateName,
+  listTemplates,
+  getTemplate,
+  renderTemplate,
+};
@@ -0,0 +1,496 @@
+const { parseUpstreamList, upstreamName } = require("../utils/upstream.helper");
+const {
+  formatRoute,
+  parseRoutes,
+  routePrefix,
+} = require("../utils/route.helper");
+const { siteNames } = require("../utils/alias.helper");
+const {
+  ZONE_SIZE,
+  limitZoneName,
+  siteLimits,
+  hasLimits,
+} = require("../utils/limit.helper");
+const { corsPolicy } = require("../utils/cors.helper");
+const { siteAccess, hasAccessRules } = require("../utils/access.helper");
+const { htpasswdPath } = require("../utils/htpasswd.helper");
+const {
+  getSecurityProfile,
+  securityHeaderList,
+} = require("../utils/security.helper");
+
+// Directory certbot writes HTTP-01 challenge files into (certbot --webroot -w)
+const ACME_WEBROOT = "/var/www/letsencrypt";
+// Mozilla "intermediate" ECDHE suites; TLS 1.3 suites are not configurable here
+const TLS_CIPHERS =
+  "ECDHE-ECDSA-AES128-GCM-SHA256:ECDHE-RSA-AES128-GCM-SHA256:ECDHE-ECDSA-AES256-GCM-SHA384:ECDHE-RSA-AES256-GCM-SHA384:ECDHE-ECDSA-CHACHA20-POLY1305:ECDHE-RSA-CHACHA20-POLY1305";
+
+// Template options read by serverBlocks for --security
+const SECURITY_OPTIONS = ["security", "hstsPreload", "csp"];
+// Template options read by serverBlocks and routeLocations for rate limiting
+const LIMIT_OPTIONS = ["rateLimit", "burst", "connLimit"];
+// Template options for --cors-*; templates call corsHeaders and corsPreflight
+const CORS_OPTIONS = [
+  "corsOrigin",
+  "corsCredentials",
+  "corsMethods",
+  "corsHeaders",
+];
+// Template options for --basic-auth, --allow and --deny; applied by serverBlocks
+const ACCESS_OPTIONS = ["basicAuth", "accessRules"];
+
+// list/remove recognise managed files by this first line
+const MANAGED_HEADER = "# fast-nginx generated configuration";
+
+function configHeader(domain, details) {
+  const lines = [
+    `${MANAGED_HEADER} for ${domain}`,
+    `# Generated on: ${new Date().toISOString()}`,
+  ];
+  for (const [key, value] of Object.entries(details)) {
+    if (!value) continue;
+    lines.push(`# ${key}: ${value}`);
+  }
+  return lines.join("\n");
+}
+
+// The domain plus its --alias and --www names
+function serverNames(options, domain) {
+  return siteNames(options, domain).join(" ");
+}
+
+// The "# Upstream:" header value that list reads the port from
+function upstreamSummary(options, port) {
+  return options.upstream
+    ? parseUpstreamList(options.upstream)
+        .map((server) => server.address)
+        .join(",")
+    : `127.0.0.1:${port}`;
+}
+
+// The "# Routes:" header value, e.g. "/api=127.0.0.1:4000,/ws=127.0.0.1:5000:websocket"
+function routeSummary(options) {
+  return parseRoutes(options.routes).map(formatRoute).join(",");
+}
+
+function proxyPass(options, domain, port) {
+  return options.upstream
+    ? `http://${upstreamName(domain)}`
+    : `http://127.0.0.1:${port}`;
+}
+
+// With upstream keepalive, plain requests must not send "Connection: upgrade"
+function connectionHeader(options, domain) {
+  return options.upstream && options.keepalive
+    ? `$${upstreamName(domain)}_connection`
+    : "'upgrade'";
+}
+
+/**
+ * The named upstream block (and keepalive connection map) for --upstream.
+ * Site files are included at http level, so both can live next to the server
+ * blocks; names are derived from the domain to stay unique per site.
+ */
+function upstreamBlock(options, domain) {
+  if (!options.upstream) return "";
+
+  const name = upstreamName(domain);
+  const lines = [`upstream ${name} {`];
+  if (options.balance && options.balance !== "round-robin") {
+    lines.push(`    ${options.balance};`);
+  }
+  for (const server of parseUpstreamList(options.upstream)) {
+    const params = Object.entries(server.params).map(
+      ([key, value]) => `${key}=${value}`,
+    );
+    lines.push(
+      `    server ${[server.address, ...params, ...server.flags].join(" ")};`,
+    );
+  }
+  if (options.keepalive) {
+    lines.push(`    keepalive ${options.keepalive};`);
+  }
+  lines.push("}");
+
+  if (options.keepalive) {
+    lines.push(
+      "",
+      `map $http_upgrade $${name}_connection {`,
+      "    default upgrade;",
+      "    ''      '';",
+      "}",
+    );
+  }
+
+  return `${lines.join("\n")}\n\n`;
+}
+
+function routeProxyPass(route) {
+  // A URI on proxy_pass replaces the matched prefix, which strips it
+  const uri = route.strip ? "/" : "";
+  return route.address.startsWith("unix:")
+    ? `http://${route.address}:${uri}`
+    : `http://${route.address}${uri}`;
+}
+
+// limit_req/limit_conn lines for a site (no routePath) or a route override
+function limitDirectives(limits, domain, routePath) {
+  const lines = [];
+  if (limits.rate) {
+    const burst = limits.burst ? ` burst=${limits.burst} nodelay` : "";
+    lines.push(
+      `limit_req zone=${limitZoneName(domain, "req", routePath)}${burst};`,
+    );
+  }
+  if (limits.conn) {
+    lines.push(
+      `limit_conn ${limitZoneName(domain, "conn", routePath)} ${limits.conn};`,
+    );
+  }
+  return lines;
+}
+
+/**
+ * The limit_req_zone/limit_conn_zone definitions for a site. They are only
+ * valid at http level, so they go into a conf.d file of their own instead of
+ * the site's server blocks. Empty when the site sets no limits.
+ */
+function limitZones(options, domain) {
+  const zones = [];
+  const addZones = (limits, routePath) => {
+    if (limits.rate) {
+      zones.push(
+        `limit_req_zone $binary_remote_addr zone=${limitZoneName(domain, "req", routePath)}:${ZONE_SIZE} rate=${limits.rate};`,
+      );
+    }
+    if (limits.conn) {
+      zones.push(
+        `limit_conn_zone $binary_remote_addr zone=${limitZoneName(domain, "conn", routePath)}:${ZONE_SIZE};`,
+      );
+    }
+  };
+
+  addZones(siteLimits(options));
+  for (const route of parseRoutes(options.routes)) {
+    addZones(route.limits, route.path);
+  }
+  if (zones.length === 0) return "";
+
+  return `${configHeader(domain, { Contents: "rate and connection limit zones (http level)" })}
+
+${zones.join("\n")}
+`;
+}
+
+// Server-level limits; answers 429 instead of nginx's default 503 when a limit is hit
+function limitServerDirectives(options, domain) {
+  const routes = parseRoutes(options.routes);
+  if (
+    !hasLimits(siteLimits(options)) &&
+    !routes.some((route) => hasLimits(route.limits))
+  ) {
+    return "";
+  }
+
+  const lines = [
+    "    # Rate and connection limits",
+    ...limitDirectives(siteLimits(options), domain).map(
+      (line) => `    ${line}`,
+    ),
+    "    limit_req_status 429;",
+    "    limit_conn_status 429;",
+  ];
+  return `${lines.join("\n")}\n\n`;
+}
+
+/**
+ * allow/deny and auth_basic lines for a site or a route. nginx applies the
+ * first rule that matches, so they keep the order they were given in; a
+ * route's "auth=off" lifts the site's password for that path.
+ */
+function accessDirectives(access, domain) {
+  const lines = access.rules.map(({ action, rule }) => `${action} ${rule};`);
+  if (access.basicAuth === "off") {
+    lines.push("auth_basic off;");
+  } else if (access.basicAuth) {
+    lines.push(
+      'auth_basic "Restricted";',
+      `auth_basic_user_file ${htpasswdPath(domain)};`,
+    );
+  }
+  return lines;
+}
+
+function accessServerDirectives(options, domain) {
+  const access = siteAccess(options);
+  if (!hasAccessRules(access)) return "";
+
+  const lines = [
+    "    # Access control",
+    ...accessDirectives(access, domain).map((line) => `    ${line}`),
+  ];
+  return `${lines.join("\n")}\n\n`;
+}
+
+/**
+ * Location blocks for --route, most specific first. ^~ keeps regex locations
+ * (such as asset caching) from taking over routed paths, and only websocket
+ * routes get the upgrade headers and long timeouts.
+ */
+function routeLocations(options, domain) {
+  const blocks = parseRoutes(options.routes).map((route) => {
+    const prefix = routePrefix(route);
+    const directives = [
+      `proxy_pass ${routeProxyPass(route)};`,
+      "proxy_http_version 1.1;",
+      "proxy_set_header Host $host;",
+      "proxy_set_header X-Real-IP $remote_addr;",
+      "proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;",
+      "proxy_set_header X-Forwarded-Proto $scheme;",
+    ];
+    if (route.strip) {
+      directives.push(
+        `proxy_set_header X-Forwarded-Prefix ${prefix.slice(0, -1)};`,
+      );
+    }
+    if (route.websocket) {
+      directives.push(
+        "proxy_set_header Upgrade $http_upgrade;",
+        "proxy_set_header Connection 'upgrade';",
+        "proxy_read_timeout 1h;",
+        "proxy_send_timeout 1h;",
+      );
+    } else {
+      directives.push("proxy_set_header Connection '';");
+    }
+    directives.push(...limitDirectives(route.limits, domain, route.path));
+    directives.push(...accessDirectives(route.access, domain));
+
+    const location = (match) =>
+      [
+        `    location ${match} {`,
+        `${corsPreflight(options, domain)}${directives
+          .map((directive) => `        ${directive}`)
+          .join("\n")}`,
+        "    }",
+      ].join("\n");
+
+    const lines = [`    # Route ${route.path} -> ${route.address}`];
+    // The exact path is answered directly; nginx would otherwise redirect it to
+    // the trailing-slash prefix, which websocket clients do not follow
+    if (prefix !== route.path) {
+      lines.push(location(`= ${route.path}`));
+    }
+    lines.push(location(`^~ ${prefix}`));
+    return lines.join("\n");
+  });
+
+  return blocks.length ? `${blocks.join("\n\n")}\n\n` : "";
+}
+
+function corsOriginValue(policy, domain) {
+  return policy.wildcard ? '"*"' : `$${upstreamName(domain)}_cors_origin`;
+}
+
+/**
+ * http-level maps for --cors-origin: the allowlist echoes a listed Origin back
+ * and yields "" otherwise (nginx sends no header with an empty value), and
+ * preflights are OPTIONS requests that carry Access-Control-Request-Method.
+ */
+function corsMaps(options, domain) {
+  const policy = corsPolicy(options);
+  if (!policy) return "";
+
+  const name = upstreamName(domain);
+  const lines = [];
+  if (!policy.wildcard) {
+    lines.push(
+      `map $http_origin $${name}_cors_origin {`,
+      '    default "";',
+      ...policy.origins.map((origin) => `    "${origin}" $http_origin;`),
+      "}",
+      "",
+    );
+  }
+  lines.push(
+    `map "$request_method:$http_access_control_request_method" $${name}_cors_preflight {`,
+    "    default 0;",
+    '    "~^OPTIONS:." 1;',
+    "}",
+  );
+  return `${lines.join("\n")}\n\n`;
+}
+
+// Server-level CORS headers for actual (non-preflight) responses
+function corsHeaders(options, domain) {
+  const policy = corsPolicy(options);
+  if (!policy) return "";
+
+  const lines = [
+    "    # CORS",
+    `    add_header Access-Control-Allow-Origin ${corsOriginValue(policy, domain)} always;`,
+  ];
+  if (policy.credentials) {
+    lines.push(
+      '    add_header Access-Control-Allow-Credentials "true" always;',
+    );
+  }
+  if (!policy.wildcard) {
+    lines.push('    add_header Vary "Origin" always;');
+  }
+  // Headers the upstream sets itself would otherwise be sent twice
+  lines.push(
+    "    proxy_hide_header Access-Control-Allow-Origin;",
+    "    proxy_hide_header Access-Control-Allow-Credentials;",
+  );
+  return `${lines.join("\n")}\n\n`;
+}
+
+// Answers CORS preflights inside a proxied location instead of forwarding them
+function corsPreflight(options, domain, indent = "        ") {
+  const policy = corsPolicy(options);
+  if (!policy) return "";
+
+  const lines = [
+    "# CORS preflight",
+    `if ($${upstreamName(domain)}_cors_preflight) {`,
+    `    add_header Access-Control-Allow-Origin ${corsOriginValue(policy, domain)} always;`,
+  ];
+  if (policy.credentials) {
+    lines.push(
+      '    add_header Access-Control-Allow-Credentials "true" always;',
+    );
+  }
+  lines.push(
+    `    add_header Access-Control-Allow-Methods "${policy.methods}" always;`,
+    `    add_header Access-Control-Allow-Headers "${policy.headers}" always;`,
+    "    add_header Access-Control-Max-Age 86400 always;",
+  );
+  if (!policy.wildcard) {
+    lines.push('    add_header Vary "Origin" always;');
+  }
+  lines.push("    return 204;", "}");
+  return `${lines.map((line) => `${indent}${line}`).join("\n")}\n\n`;
+}
+
+function acmeChallengeLocation() {
+  return `    # ACME HTTP-01 challenges for certificate issuance and renewal
+    location ^~ /.well-known/acme-challenge/ {
+        root ${ACME_WEBROOT};
+        default_type "text/plain";
+        allow all;
+        auth_basic off;
+    }`;
+}
+
+/**
+ * The --security profile's add_header lines. nginx drops server-level
+ * add_header directives in any location that sets its own, so templates repeat
+ * these inside such locations. Every line starts with a newline, so an empty
+ * profile leaves no blank line behind.
+ */
+function securityHeaders(options, indent = "    ") {
+  return securityHeaderList(options)
+    .map(([name, value]) => `\n${indent}add_header ${name} "${value}" always;`)
+    .join("");
+}
+
+function securityDirectives(options) {
+  if (!getSecurityProfile(options)) return "";
+  return `    # Security headers (${options.security || "standard"} profile)${securityHeaders(options)}
+    server_tokens off;
+
+`;
+}
+
+// TLS settings are written out so they do not depend on certbot's options-ssl-nginx.conf
+function sslDirectives(options) {
+  const profile = getSecurityProfile(options);
+  const protocols = profile ? profile.tlsProtocols : "TLSv1.2 TLSv1.3";
+  const lines = [
+    `    ssl_certificate ${options.certificate.certificate};`,
+    `    ssl_certificate_key ${options.certificate.key};`,
+    `    ssl_protocols ${protocols};`,
+  ];
+  if (protocols.includes("TLSv1.2")) {
+    lines.push(`    ssl_ciphers ${TLS_CIPHERS};`);
+  }
+  lines.push(
+    "    ssl_prefer_server_ciphers off;",
+    "    ssl_session_timeout 1d;",
+    "    ssl_session_cache shared:fastnginx_ssl:10m;",
+    "    ssl_session_tickets off;",
+  );
+  return lines.join("\n");
+}
+
+/**
+ * Wraps a template's server body in the right listeners: a plain HTTP server
+ * until a certificate exists, then an HTTPS server plus an HTTP server that
+ * only answers ACME challenges and redirects everything else.
+ */
+function serverBlocks(options, domain, body) {
+  const names = serverNames(options, domain);
+  const upstream = `${upstreamBlock(options, domain)}${corsMaps(options, domain)}`;
+
+  if (!options.certificate) {
+    return `${upstream}server {
+    listen 80;
+    listen [::]:80;
+    server_name ${names};
+
+${acmeChallengeLocation()}
+
+${securityDirectives(options)}${limitServerDirectives(options, domain)}${accessServerDirectives(options, domain)}${body}
+}`;
+  }
+
+  return `${upstream}server {
+    listen 80;
+    listen [::]:80;
+    server_name ${names};
+
+${acmeChallengeLocation()}
+
+    location / {
+        return 301 https://$host$request_uri;
+    }${getSecurityProfile(options) ? "\n\n    server_tokens off;" : ""}
+}
+
+server {
+    listen 443 ssl;
+    listen [::]:443 ssl;
+    server_name ${names};
+
+${sslDirectives(options)}
+
+${securityDirectives(options)}${limitServerDirectives(options, domain)}${accessServerDirectives(options, domain)}${body}
+}`;
+}
+
+module.exports = {
+  ACME_WEBROOT,
+  MANAGED_HEADER,
+  SECURITY_OPTIONS,
+  LIMIT_OPTIONS,
+  CORS_OPTIONS,
+  ACCESS_OPTIONS,
+  configHeader,
+  serverNames,
+  upstreamSummary,
+  proxyPass,
+  connectionHeader,
+  upstreamBlock,
+  routeSummary,
+  routeLocations,
+  limitZones,
+  corsMaps,
+  corsHeaders,
+  corsPreflight,
+  limitServerDirectives,
+  accessServerDirectives,
+  acmeChallengeLocation,
+  securityHeaders,
+  sslDirectives,
+  serverBlocks,
+};
@@ -0,0 +1,83 @@
+const {
+  configHeader,
+  connectionHeader,
+  upstreamSummary,
+  proxyPass,
+  routeLocations,
+  routeSummary,
+  securityHeaders,
+  serverBlocks,
+  SECURITY_OPTIONS,
+  LIMIT_OPTIONS,
+  ACCESS_OPTIONS,
+} = require("./snippets");
+
+function generateSpaTemplate(options, domain, port) {
+  const body = `${routeLocations(options, domain)}    # SPA routing - try files first, then proxy to app
+    location / {
+        try_files $uri $uri/ @proxy;
+    }
+    
+    # Proxy fallback for SPA
+    location @proxy {
+        proxy_pass ${proxyPass(options, domain, port)};
+        proxy_http_version 1.1;
+        proxy_set_header Upgrade $http_upgrade;
+        proxy_set_header Connection ${connectionHeader(options, domain)};
+        proxy_set_header Host $host;
+        proxy_set_header X-Real-IP $remote_addr;
+        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+        proxy_set_header X-Forwarded-Proto $scheme;
+        proxy_cache_bypass $http_upgrade;
+        proxy_redirect off;
+    }
+    
+    # Static assets caching
+    location ~* \\.(js|css|png|jpg|jpeg|gif|ico|svg|woff|woff2|ttf|eot)$ {
+        expires 1y;
+        add_header Cache-Control "public, immutable";${securityHeaders(options, "        ")}
+        try_files $uri @proxy;
+    }
+    
+    # Gzip compression
+    gzip on;
+    gzip_vary on;
+    gzip_min_length 1024;
+    gzip_types
+        text/plain
+        text/css
+        text/xml
+        text/javascript
+        application/x-javascript
+        application/xml+rss
+        application/javascript
+        application/json;`;
+
+  return `${configHeader(domain, {
+    Template: "spa",
+    Upstream: upstreamSummary(options, port),
+    Routes: routeSummary(options),
+  })}
+
+${serverBlocks(options, domain, body)}
+`;
+}
+
+module.exports = {
+  name: "spa",
+  description: "Single-page app served from its upstream with asset caching",
+  options: [
+    "www",
+    "alias",
+    "certificate",
+    "upstream",
+    "balance",
+    "keepalive",
+    "routes",
+    ...SECURITY_OPTIONS,
+    ...LIMIT_OPTIONS,
+    ...ACCESS_OPTIONS,
+  ],
+  generate: generateSpaTemplate,
+  generateSpaTemplate,
+};
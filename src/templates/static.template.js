@@ -0,0 +1,84 @@
+const {
+  configHeader,
+  routeLocations,
+  routeSummary,
+  securityHeaders,
+  serverBlocks,
+  SECURITY_OPTIONS,
+  LIMIT_OPTIONS,
+  ACCESS_OPTIONS,
+} = require("./snippets");
+
+// File names with a content hash, e.g. app.3f2a1c9d.js or index-B1x9kQ2z.css
+const HASHED_ASSET =
+  "[.-](?=[0-9A-Za-z_-]*[0-9])[0-9A-Za-z_-]{8,}\\.(?:js|mjs|css|map|json|woff2?|ttf|otf|eot|png|jpe?g|gif|svg|webp|avif|ico)$";
+
+function generateStaticTemplate(options, domain, port) {
+  const root = options.root.replace(/\/+$/, "") || "/";
+  // Without the SPA fallback, unknown paths are real 404s
+  const fallback = options.spaFallback === false ? "=404" : "/index.html";
+
+  const body = `    root ${root};
+    index index.html;
+${options.autoindex ? "    autoindex on;\n" : ""}
+    access_log /var/log/nginx/${domain}_access.log;
+    error_log /var/log/nginx/${domain}_error.log;
+
+${routeLocations(options, domain)}    location / {
+        try_files $uri $uri/ ${fallback};
+    }
+
+    # index.html points at the current asset hashes, so it is always revalidated
+    location = /index.html {
+        add_header Cache-Control "no-cache";${securityHeaders(options, "        ")}
+    }
+
+    # Hashed build assets never change once published
+    location ~ "${HASHED_ASSET}" {
+        expires 1y;
+        add_header Cache-Control "public, max-age=31536000, immutable";${securityHeaders(options, "        ")}
+        access_log off;
+        try_files $uri =404;
+    }
+
+    # Gzip compression
+    gzip on;
+    gzip_vary on;
+    gzip_min_length 1024;
+    gzip_types
+        text/plain
+        text/css
+        text/xml
+        text/javascript
+        application/javascript
+        application/json
+        image/svg+xml;`;
+
+  return `${configHeader(domain, {
+    Template: "static",
+    Root: root,
+    Routes: routeSummary(options),
+  })}
+
+${serverBlocks(options, domain, body)}
+`;
+}
+
+module.exports = {
+  name: "static",
+  description: "Static files from --root with SPA fallback and asset caching",
+  options: [
+    "www",
+    "alias",
+    "certificate",
+    "root",
+    "autoindex",
+    "spaFallback",
+    "routes",
+    ...SECURITY_OPTIONS,
+    ...LIMIT_OPTIONS,
+    ...ACCESS_OPTIONS,
+  ],
+  generate: generateStaticTemplate,
+  generateStaticTemplate,
+};
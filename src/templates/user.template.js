@@ -0,0 +1,158 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { interpolate } = require("../utils/template.helper");
+const {
+  acmeChallengeLocation,
+  configHeader,
+  connectionHeader,
+  proxyPass,
+  routeLocations,
+  routeSummary,
+  serverNames,
+  securityHeaders,
+  sslDirectives,
+  SECURITY_OPTIONS,
+  LIMIT_OPTIONS,
+  CORS_OPTIONS,
+  ACCESS_OPTIONS,
+  accessServerDirectives,
+  corsMaps,
+  corsHeaders,
+  corsPreflight,
+  limitServerDirectives,
+  upstreamBlock,
+  upstreamSummary,
+} = require("./snippets");
+
+const TEMPLATE_EXTENSIONS = [".conf.tmpl", ".tmpl"];
+
+function getUserTemplatesDir() {
+  if (process.env.FAST_NGINX_TEMPLATES_DIR) {
+    return process.env.FAST_NGINX_TEMPLATES_DIR;
+  }
+  const configHome =
+    process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(configHome, "fast-nginx", "templates");
+}
+
+function isTemplatePath(name) {
+  return (
+    name.includes("/") ||
+    name.includes(path.sep) ||
+    TEMPLATE_EXTENSIONS.some((extension) => name.endsWith(extension))
+  );
+}
+
+function stripExtension(fileName) {
+  const extension = TEMPLATE_EXTENSIONS.find((item) => fileName.endsWith(item));
+  return extension ? fileName.slice(0, -extension.length) : null;
+}
+
+function buildTemplateVariables(options, domain, port) {
+  return {
+    domain,
+    port,
+    www: options.www ? `www.${domain}` : "",
+    serverNames: serverNames(options, domain),
+    ssl: Boolean(options.ssl),
+    email: options.email,
+    acmeChallenge: acmeChallengeLocation(),
+    proxyPass: proxyPass(options, domain, port),
+    connectionHeader: connectionHeader(options, domain),
+    upstreamBlock: upstreamBlock(options, domain),
+    routes: routeLocations(options, domain),
+    https: Boolean(options.certificate),
+    sslCertificate: options.certificate && options.certificate.certificate,
+    sslCertificateKey: options.certificate && options.certificate.key,
+    sslDirectives: options.certificate && sslDirectives(options),
+    securityHeaders: securityHeaders(options),
+    limits: limitServerDirectives(options, domain),
+    access: accessServerDirectives(options, domain),
+    corsMaps: corsMaps(options, domain),
+    corsHeaders: corsHeaders(options, domain),
+    corsPreflight: corsPreflight(options, domain),
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+function createFileTemplate(name, filePath) {
+  return {
+    name,
+    description: `User template (${filePath})`,
+    options: [
+      "www",
+      "alias",
+      "ssl",
+      "email",
+      "certificate",
+      "upstream",
+      "balance",
+      "keepalive",
+      "routes",
+      ...SECURITY_OPTIONS,
+      ...LIMIT_OPTIONS,
+      ...CORS_OPTIONS,
+      ...ACCESS_OPTIONS,
+    ],
+    path: filePath,
+    generate(options, domain, port) {
+      let source;
+      try {
+        source = fs.readFileSync(filePath, "utf8");
+      } catch (error) {
+        throw new Error(`Cannot read template ${filePath}: ${error.message}`);
+      }
+
+      let body;
+      try {
+        body = interpolate(
+          source,
+          buildTemplateVariables(options, domain, port),
+        );
+      } catch (error) {
+        throw new Error(`${filePath}: ${error.message}`);
+      }
+
+      return `${configHeader(domain, {
+        Template: filePath,
+        Upstream: upstreamSummary(options, port),
+        Routes: routeSummary(options),
+      })}
+
+${body}`;
+    },
+  };
+}
+
+function listUserTemplates() {
+  const dir = getUserTemplatesDir();
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(dir)
+    .map((fileName) => ({ fileName, name: stripExtension(fileName) }))
+    .filter((item) => item.name)
+    .map((item) =>
+      createFileTemplate(item.name, path.join(dir, item.fileName)),
+    );
+}
+
+// Resolves "./path/to/file.conf.tmpl" or a template name from the user directory
+function loadUserTemplate(name) {
+  if (isTemplatePath(name)) {
+    const filePath = path.resolve(name);
+    return fs.existsSync(filePath) ? createFileTemplate(name, filePath) : null;
+  }
+
+  return listUserTemplates().find((template) => template.name === name) || null;
+}
+
+module.exports = {
+  getUserTemplatesDir,
+  buildTemplateVariables,
+  listUserTemplates,
+  loadUserTemplate,
+};
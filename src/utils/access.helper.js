@@ -0,0 +1,28 @@
+const { parseRoutes } = require("./route.helper");
+
+// --basic-auth, --allow and --deny of a site; rules are [{ action, rule }] in order
+function siteAccess(options) {
+  return {
+    basicAuth: options.basicAuth,
+    rules: options.accessRules || [],
+  };
+}
+
+function hasAccessRules(access) {
+  return Boolean(access && (access.basicAuth || access.rules.length > 0));
+}
+
+// Every htpasswd user a site needs: its own and those of its routes
+function accessUsers(options) {
+  const users = [
+    siteAccess(options).basicAuth,
+    ...parseRoutes(options.routes).map((route) => route.access.basicAuth),
+  ];
+  return [...new Set(users.filter((user) => user && user !== "off"))];
+}
+
+module.exports = {
+  siteAccess,
+  hasAccessRules,
+  accessUsers,
+};
@@ -0,0 +1,108 @@
+const { execSync } = require("child_process");
+const chalk = require("chalk");
+const {
+  sudoWriteFsFile,
+  sudoLinkFsFile,
+  sudoUnlinkFsFile,
+  readFileIfExists,
+} = require("./file.helper");
+const { createUnifiedDiff } = require("./diff.helper");
+
+function printDiff(diff) {
+  for (const line of diff.split("\n")) {
+    if (line.startsWith("+++") || line.startsWith("---")) {
+      console.log(chalk.bold(line));
+    } else if (line.startsWith("@@")) {
+      console.log(chalk.cyan(line));
+    } else if (line.startsWith("+")) {
+      console.log(chalk.green(line));
+    } else if (line.startsWith("-")) {
+      console.log(chalk.red(line));
+    } else {
+      console.log(chalk.gray(line));
+    }
+  }
+}
+
+/**
+ * Every side effect of a run (file writes, links, removals and shell commands)
+ * goes through this runner. With --dry-run the actions are only recorded and
+ * printed, so the same code path doubles as the plan.
+ */
+function createActionRunner(options) {
+  const dryRun = Boolean(options.dryRun);
+  const actions = [];
+
+  function record(description) {
+    actions.push(description);
+    if (dryRun) {
+      console.log(chalk.cyan(`🔍 [dry-run] Would ${description}`));
+    }
+  }
+
+  return {
+    dryRun,
+    actions,
+
+    async writeFile(filePath, content) {
+      record(`write ${filePath}`);
+      if (dryRun) {
+        let existing = null;
+        try {
+          existing = readFileIfExists(filePath);
+        } catch (error) {
+          console.log(
+            chalk.yellow(
+              `   Cannot read ${filePath} for diff: ${error.message}`,
+            ),
+          );
+        }
+        const diff = createUnifiedDiff(
+          existing,
+          String(content),
+          existing === null ? "/dev/null" : filePath,
+          filePath,
+        );
+        if (diff) {
+          printDiff(diff);
+        } else {
+          console.log(chalk.gray("   (no changes)"));
+        }
+        return;
+      }
+      await sudoWriteFsFile(filePath, content);
+    },
+
+    async link(target, linkPath) {
+      record(`link ${linkPath} -> ${target}`);
+      if (dryRun) return;
+      await sudoLinkFsFile(target, linkPath);
+    },
+
+    async remove(filePath) {
+      record(`remove ${filePath}`);
+      if (dryRun) return;
+      await sudoUnlinkFsFile(filePath);
+    },
+
+    run(command, execOptions = { stdio: "inherit" }) {
+      record(`run: ${command}`);
+      if (dryRun) return "";
+      return execSync(command, execOptions);
+    },
+  };
+}
+
+function printDryRunSummary(runner) {
+  console.log(chalk.cyan.bold("\n🔍 Dry run complete - no changes were made"));
+  console.log(chalk.gray("====================================="));
+  console.log(chalk.white("📋 Planned actions:"));
+  runner.actions.forEach((action, index) => {
+    console.log(chalk.white(`   ${index + 1}. ${action}`));
+  });
+}
+
+module.exports = {
+  createActionRunner,
+  printDryRunSummary,
+};
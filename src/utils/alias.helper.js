@@ -0,0 +1,24 @@
+const { parseList } = require("./list.helper");
+
+// "*.myapp.com" names can only be proven over DNS-01
+function isWildcard(name) {
+  return name.startsWith("*.");
+}
+
+// The extra names of a site: --alias entries, plus www.<domain> for --www
+function siteAliases(options, domain) {
+  const aliases = parseList(options.alias).map((name) => name.toLowerCase());
+  if (options.www) aliases.push(`www.${domain}`);
+  return [...new Set(aliases)].filter((name) => name !== domain);
+}
+
+// Every name the site answers to and its certificate covers, domain first
+function siteNames(options, domain) {
+  return [domain, ...siteAliases(options, domain)];
+}
+
+module.exports = {
+  isWildcard,
+  siteAliases,
+  siteNames,
+};
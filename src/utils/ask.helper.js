@@ -13,16 +13,68 @@ async function askUser(options, question) {
         output: process.stdout,
     });
 
-    rl.question(chalk.yellow(`${question} (Y/N): `), (answer) => {
-        rl.close();
-        if (!validAnswers.includes(answer.toLowerCase())) {
-            askUser(options, question);
-        }
-        return answer.toLowerCase() === "y" || answer.toLowerCase() === "yes";
+    const answer = await new Promise((resolve) => {
+        rl.question(chalk.yellow(`${question} (Y/N): `), (input) => {
+            rl.close();
+            resolve(input.trim().toLowerCase());
+        });
+        // stdin ended without an answer (e.g. piped input): treat it as "no"
+        rl.on("close", () => resolve("n"));
     });
+
+    if (!validAnswers.includes(answer)) {
+        return askUser(options, question);
+    }
+    return answer === "y" || answer === "yes";
 }
 
+let stdinLines = null;
+
+// Piped stdin is read once; every password prompt takes the next line
+async function nextStdinLine() {
+    if (!stdinLines) {
+        let input = "";
+        process.stdin.setEncoding("utf8");
+        for await (const chunk of process.stdin) {
+            input += chunk;
+        }
+        stdinLines = input.split(/\r?\n/);
+    }
+    return stdinLines.length > 0 ? stdinLines.shift() : "";
+}
+
+/**
+ * Reads a password without echoing it. When stdin is not a terminal the
+ * password is read from it instead, one line per prompt.
+ */
+async function askPassword(question) {
+    if (!process.stdin.isTTY) {
+        return nextStdinLine();
+    }
+
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        terminal: true,
+    });
+    let muted = false;
+    const writeToOutput = rl._writeToOutput.bind(rl);
+    rl._writeToOutput = (text) => {
+        if (!muted) writeToOutput(text);
+    };
+
+    return new Promise((resolve) => {
+        rl.question(chalk.yellow(question), (input) => {
+            rl.close();
+            process.stdout.write("\n");
+            resolve(input);
+        });
+        muted = true;
+        rl.on("close", () => resolve(""));
+    });
+}
 
 module.exports = {
-    askUser
-};
\ No newline at end of file
+    askUser,
+    askPassword,
+};
@@ -0,0 +1,232 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { getLayout } = require("./layout.helper");
+
+const LETSENCRYPT_LIVE_DIR = "/etc/letsencrypt/live";
+// certbot keeps how to renew each certificate here, <name>.conf
+const LETSENCRYPT_RENEWAL_DIR = "/etc/letsencrypt/renewal";
+// Certificates closer to expiry than this are flagged by list and certs
+const EXPIRY_WARNING_DAYS = 14;
+// --ssl alone (ssl: true in a sites file) means Let's Encrypt
+const SSL_PROVIDERS = ["letsencrypt", "self-signed"];
+// Leaf-first files a certificate directory may hold
+const CERTIFICATE_FILES = ["fullchain.pem", "cert.pem"];
+
+// Who issues the site's certificate, null without --ssl
+function sslProvider(options) {
+  if (!options.ssl) return null;
+  return options.ssl === true ? "letsencrypt" : String(options.ssl);
+}
+
+function letsEncryptCertificate(domain) {
+  const dir = path.join(LETSENCRYPT_LIVE_DIR, domain);
+  return {
+    source: "letsencrypt",
+    certificate: path.join(dir, "fullchain.pem"),
+    key: path.join(dir, "privkey.pem"),
+  };
+}
+
+// Bring-your-own and self-signed certificates are installed here, one directory per domain
+function customCertificateDir() {
+  return path.join(getLayout().managedDir, "certs");
+}
+
+function customCertificate(domain) {
+  const dir = path.join(customCertificateDir(), domain);
+  return {
+    source: "custom",
+    certificate: path.join(dir, "fullchain.pem"),
+    key: path.join(dir, "privkey.pem"),
+  };
+}
+
+/**
+ * Returns the certificate files for a domain, or null until they exist. An
+ * installed --cert or self-signed certificate takes precedence over a Let's
+ * Encrypt certificate.
+ */
+function findCertificate(domain) {
+  return (
+    [customCertificate(domain), letsEncryptCertificate(domain)].find(
+      (certificate) =>
+        fs.existsSync(certificate.certificate) &&
+        fs.existsSync(certificate.key),
+    ) || null
+  );
+}
+
+/**
+ * Reads a PEM certificate (the first one of a chain) with crypto.X509Certificate.
+ * Returns null when the file is missing.
+ */
+function readCertificateInfo(certificatePath) {
+  if (!fs.existsSync(certificatePath)) {
+    return null;
+  }
+
+  return certificateInfo(
+    new crypto.X509Certificate(fs.readFileSync(certificatePath)),
+  );
+}
+
+function certificateInfo(certificate) {
+  const validTo = new Date(certificate.validTo);
+  return {
+    subject: certificate.subject,
+    issuer: certificate.issuer,
+    subjectAltNames: (certificate.subjectAltName || "")
+      .split(",")
+      .map((name) => name.trim().replace(/^DNS:/, ""))
+      .filter(Boolean),
+    validFrom: new Date(certificate.validFrom),
+    validTo,
+    daysRemaining: Math.floor((validTo.getTime() - Date.now()) / 86400000),
+  };
+}
+
+// The PEM certificates in a file, leaf first
+function pemCertificates(content) {
+  return (
+    String(content).match(
+      /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g,
+    ) || []
+  );
+}
+
+function readPemFile(filePath, description) {
+  try {
+    return fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    throw new Error(`Cannot read ${description} ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Reads a bring-your-own --cert, --key and optional --chain and checks them
+ * against each other: the key must belong to the certificate and every chain
+ * certificate must have issued the one before it. Returns the certificate's
+ * info and the fullchain.pem to install; throws when the files do not fit.
+ */
+function loadCustomCertificate({ cert, key, chain }) {
+  const pems = [
+    ...pemCertificates(readPemFile(cert, "certificate")),
+    ...(chain ? pemCertificates(readPemFile(chain, "chain")) : []),
+  ];
+  if (pems.length === 0) {
+    throw new Error(`No PEM certificate found in ${cert}`);
+  }
+  const certificates = pems.map((pem) => new crypto.X509Certificate(pem));
+
+  let privateKey;
+  try {
+    privateKey = crypto.createPrivateKey(readPemFile(key, "private key"));
+  } catch (error) {
+    throw new Error(`Invalid private key ${key}: ${error.message}`);
+  }
+  if (!certificates[0].checkPrivateKey(privateKey)) {
+    throw new Error(`${key} is not the private key of ${cert}`);
+  }
+  for (let index = 1; index < certificates.length; index++) {
+    if (!certificates[index - 1].checkIssued(certificates[index])) {
+      throw new Error(
+        `The chain is out of order: certificate ${index + 1} did not issue certificate ${index}`,
+      );
+    }
+  }
+
+  return {
+    info: certificateInfo(certificates[0]),
+    fullchain: `${pems.join("\n")}\n`,
+  };
+}
+
+// One field (such as CN or O) of an X509Certificate subject or issuer
+function nameField(distinguishedName, field) {
+  const line = String(distinguishedName || "")
+    .split("\n")
+    .find((entry) => entry.startsWith(`${field}=`));
+  return line ? line.slice(field.length + 1) : null;
+}
+
+/**
+ * Every certificate in a directory laid out like /etc/letsencrypt/live: one
+ * subdirectory per certificate. Certificates that cannot be parsed are
+ * returned with an error instead of info.
+ */
+function readCertificateDirectory(directory) {
+  return fs
+    .readdirSync(directory, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() || entry.isSymbolicLink())
+    .map((entry) => {
+      const certificateDir = path.join(directory, entry.name);
+      const certificate = CERTIFICATE_FILES.map((file) =>
+        path.join(certificateDir, file),
+      ).find((file) => fs.existsSync(file));
+      if (!certificate) return null;
+
+      try {
+        return {
+          name: entry.name,
+          directory: certificateDir,
+          certificate,
+          info: readCertificateInfo(certificate),
+          error: null,
+        };
+      } catch (error) {
+        return {
+          name: entry.name,
+          directory: certificateDir,
+          certificate,
+          info: null,
+          error: error.message,
+        };
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Only certificates certbot issued (and has a renewal config for) can be renewed
+function isRenewable(name) {
+  return fs.existsSync(path.join(LETSENCRYPT_RENEWAL_DIR, `${name}.conf`));
+}
+
+// A certificate name covers a server name exactly, or as a one-label wildcard
+function nameCoveredBy(name, certificateName) {
+  const pattern = certificateName.toLowerCase();
+  const host = name.toLowerCase();
+  if (pattern === host) return true;
+  if (!pattern.startsWith("*.")) return false;
+  const dot = host.indexOf(".");
+  return dot > 0 && host.slice(dot + 1) === pattern.slice(2);
+}
+
+// The server names a certificate's subjectAltNames do not cover
+function uncoveredNames(info, names) {
+  return names.filter(
+    (name) =>
+      !info.subjectAltNames.some((certificateName) =>
+        nameCoveredBy(name, certificateName),
+      ),
+  );
+}
+
+module.exports = {
+  LETSENCRYPT_LIVE_DIR,
+  customCertificateDir,
+  EXPIRY_WARNING_DAYS,
+  SSL_PROVIDERS,
+  sslProvider,
+  letsEncryptCertificate,
+  customCertificate,
+  findCertificate,
+  readCertificateInfo,
+  certificateInfo,
+  loadCustomCertificate,
+  nameField,
+  readCertificateDirectory,
+  isRenewable,
+  uncoveredNames,
+};
@@ -0,0 +1,215 @@
+const fs = require("fs");
+const path = require("path");
+const { getLayout } = require("./layout.helper");
+const {
+  parseNginxConfig,
+  loadNginxConfig,
+  walkDirectives,
+  findDirectives,
+  serverBlocks,
+} = require("./nginx-config.helper");
+
+// nginx listens on *:80 in a server block without listen directives
+const DEFAULT_LISTEN = ["80"];
+
+function realPath(file) {
+  try {
+    return fs.realpathSync(file);
+  } catch (error) {
+    return path.resolve(file);
+  }
+}
+
+// "80", "[::]:443", "127.0.0.1" and "0.0.0.0:80" as "*:80", "[::]:443", ...
+function listenSocket(address) {
+  if (address.startsWith("unix:")) return address;
+  if (/^\d+$/.test(address)) return `*:${address}`;
+  const match = /^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(address);
+  if (!match) return address;
+  const host = match[1] === "0.0.0.0" ? "*" : match[1].toLowerCase();
+  return `${host}:${match[2] || "80"}`;
+}
+
+function hostPort(host, port) {
+  const name = host.toLowerCase() === "localhost" ? "127.0.0.1" : host;
+  return `${name}:${port}`;
+}
+
+// The upstream blocks of a config as a map of name to "host:port" addresses
+function upstreamServers(config) {
+  const upstreams = new Map();
+  for (const { node } of findDirectives(config, "upstream")) {
+    if (!node.children || !node.args[0]) continue;
+    upstreams.set(
+      node.args[0],
+      node.children
+        .filter((child) => child.name === "server" && child.args[0])
+        .map((child) => {
+          const match = /^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(child.args[0]);
+          return match ? hostPort(match[1], match[2] || "80") : child.args[0];
+        }),
+    );
+  }
+  return upstreams;
+}
+
+// The addresses a server block proxies to, through upstream blocks where named
+function proxyTargets(block, upstreams) {
+  const targets = new Set();
+  walkDirectives(
+    { file: block.file, children: block.node.children },
+    (node) => {
+      if (node.name !== "proxy_pass" || !node.args[0]) return;
+      // Variables are only resolved per request
+      const match =
+        /^(https?):\/\/(\[[^\]]+\]|[^/:$]+)(?::(\d+))?(?:\/|$)/.exec(
+          node.args[0],
+        );
+      if (!match) return;
+      const servers = match[3] ? null : upstreams.get(match[2]);
+      for (const target of servers || [
+        hostPort(match[2], match[3] || (match[1] === "https" ? "443" : "80")),
+      ]) {
+        targets.add(target);
+      }
+    },
+  );
+  return [...targets];
+}
+
+// A server block with the sockets it listens on and the upstreams it proxies to
+function describeBlock(block, upstreams) {
+  const listens = block.listens.length > 0 ? block.listens : [DEFAULT_LISTEN];
+  return {
+    file: block.file,
+    line: block.line,
+    serverNames: block.serverNames
+      .filter(Boolean)
+      .map((name) => name.toLowerCase()),
+    sockets: listens.map((args) => listenSocket(args[0])),
+    defaultSockets: listens
+      .filter(
+        (args) => args.includes("default_server") || args.includes("default"),
+      )
+      .map((args) => listenSocket(args[0])),
+    targets: proxyTargets(block, upstreams),
+  };
+}
+
+/**
+ * The server blocks nginx loads now, except those in the excluded files: all
+ * that nginx.conf includes, or every file in the enabled directory when
+ * nginx.conf is missing or cannot be parsed.
+ */
+function enabledBlocks(excluded) {
+  const layout = getLayout();
+  let sources = [];
+  try {
+    sources = [{ config: loadNginxConfig(layout.confPath), context: "http" }];
+  } catch (error) {
+    if (fs.existsSync(layout.enabledDir)) {
+      sources = fs
+        .readdirSync(layout.enabledDir)
+        .map((entry) => path.join(layout.enabledDir, entry))
+        .flatMap((file) => {
+          try {
+            const content = fs.readFileSync(file, "utf8");
+            return [{ config: parseNginxConfig(content, file), context: "" }];
+          } catch (readError) {
+            // Unreadable or broken files are for nginx -t to report
+            return [];
+          }
+        });
+    }
+  }
+
+  const upstreams = new Map(
+    sources.flatMap(({ config }) => [...upstreamServers(config)]),
+  );
+  return sources
+    .flatMap(({ config, context }) => serverBlocks(config, context))
+    .filter((block) => !excluded.has(realPath(block.file)))
+    .map((block) => describeBlock(block, upstreams));
+}
+
+function location(block) {
+  return `${block.file}:${block.line}`;
+}
+
+// What nginx would trip over when both blocks were loaded
+function compareBlocks(block, other) {
+  const conflicts = [];
+  const sharedSockets = block.sockets.filter((socket) =>
+    other.sockets.includes(socket),
+  );
+  if (sharedSockets.length > 0) {
+    for (const name of block.serverNames) {
+      if (other.serverNames.includes(name)) {
+        conflicts.push(
+          `server_name ${name} on ${sharedSockets.join(", ")} is also claimed by ${location(other)}`,
+        );
+      }
+    }
+  }
+  for (const socket of block.defaultSockets) {
+    if (other.defaultSockets.includes(socket)) {
+      conflicts.push(
+        `default_server on ${socket} is also set by ${location(other)}`,
+      );
+    }
+  }
+  for (const target of block.targets) {
+    if (other.targets.includes(target)) {
+      conflicts.push(`${target} is already proxied to by ${location(other)}`);
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Compares the configs about to be written (as [{ file, content }], file being
+ * where each goes) with each other and with every enabled config they do not
+ * replace or that is not about to be removed. Returns [{ file, line, message }] for every server_name claimed twice
+ * on the same address and port, default_server clash and upstream proxied to
+ * twice.
+ */
+function findConflicts(sites, removedFiles = []) {
+  const excluded = new Set(
+    [...sites.map((site) => site.file), ...removedFiles].map(realPath),
+  );
+  const existing = enabledBlocks(excluded);
+
+  const planned = sites.map((site) => {
+    const config = parseNginxConfig(site.content, site.file);
+    const upstreams = upstreamServers(config);
+    return serverBlocks(config, "").map((block) =>
+      describeBlock(block, upstreams),
+    );
+  });
+
+  const conflicts = [];
+  planned.forEach((blocks, index) => {
+    // Other planned sites are compared once, from the earlier of the two
+    const others = [...planned.slice(index + 1).flat(), ...existing];
+    for (const block of blocks) {
+      for (const other of others) {
+        for (const message of compareBlocks(block, other)) {
+          conflicts.push({ file: block.file, line: block.line, message });
+        }
+      }
+    }
+  });
+
+  // An upstream that both the HTTP and HTTPS block proxy to is one conflict
+  return conflicts.filter(
+    (conflict, index) =>
+      conflicts.findIndex(
+        (item) =>
+          item.file === conflict.file && item.message === conflict.message,
+      ) === index,
+  );
+}
+
+module.exports = {
+  findConflicts,
+};
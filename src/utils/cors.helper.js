@@ -0,0 +1,40 @@
+const { parseList } = require("./list.helper");
+
+const CORS_METHODS = [
+  "GET",
+  "HEAD",
+  "POST",
+  "PUT",
+  "PATCH",
+  "DELETE",
+  "OPTIONS",
+];
+const DEFAULT_CORS_METHODS = "GET, POST, PUT, PATCH, DELETE, OPTIONS";
+const DEFAULT_CORS_HEADERS =
+  "DNT, User-Agent, X-Requested-With, If-Modified-Since, Cache-Control, Content-Type, Range, Authorization";
+
+/**
+ * The CORS policy of a site, or null when --cors-origin is not set. Origins
+ * are either ["*"] or an allowlist that nginx matches exactly.
+ */
+function corsPolicy(options) {
+  const origins = parseList(options.corsOrigin);
+  if (origins.length === 0) return null;
+
+  return {
+    origins,
+    wildcard: origins.includes("*"),
+    credentials: Boolean(options.corsCredentials),
+    methods: options.corsMethods
+      ? parseList(options.corsMethods).join(", ")
+      : DEFAULT_CORS_METHODS,
+    headers: options.corsHeaders
+      ? parseList(options.corsHeaders).join(", ")
+      : DEFAULT_CORS_HEADERS,
+  };
+}
+
+module.exports = {
+  CORS_METHODS,
+  corsPolicy,
+};
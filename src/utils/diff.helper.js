@@ -0,0 +1,116 @@
+const CONTEXT_LINES = 3;
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+// Longest-common-subsequence line diff; config files are small enough for O(n*m)
+function diffLines(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+  const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i][j] =
+        oldLines[i] === newLines[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      changes.push({
+        type: " ",
+        line: oldLines[i],
+        oldIndex: i++,
+        newIndex: j++,
+      });
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      changes.push({
+        type: "-",
+        line: oldLines[i],
+        oldIndex: i++,
+        newIndex: j,
+      });
+    } else {
+      changes.push({
+        type: "+",
+        line: newLines[j],
+        oldIndex: i,
+        newIndex: j++,
+      });
+    }
+  }
+  while (i < n) {
+    changes.push({ type: "-", line: oldLines[i], oldIndex: i++, newIndex: j });
+  }
+  while (j < m) {
+    changes.push({ type: "+", line: newLines[j], oldIndex: i, newIndex: j++ });
+  }
+
+  return changes;
+}
+
+function groupHunks(changes) {
+  const hunks = [];
+  let current = null;
+
+  changes.forEach((change, index) => {
+    if (change.type === " ") return;
+
+    const start = Math.max(0, index - CONTEXT_LINES);
+    const end = Math.min(changes.length, index + CONTEXT_LINES + 1);
+    if (current && start <= current.end) {
+      current.end = end;
+    } else {
+      current = { start, end };
+      hunks.push(current);
+    }
+  });
+
+  return hunks.map(({ start, end }) => changes.slice(start, end));
+}
+
+function formatRange(start, count) {
+  // Unified diff ranges are 1-based; an empty range points at the line before it
+  const line = count === 0 ? start : start + 1;
+  return count === 1 ? `${line}` : `${line},${count}`;
+}
+
+/**
+ * Builds a unified diff between two texts. Returns an empty string when they
+ * are identical.
+ */
+function createUnifiedDiff(oldText, newText, oldLabel, newLabel) {
+  const changes = diffLines(splitLines(oldText), splitLines(newText));
+  const hunks = groupHunks(changes);
+  if (hunks.length === 0) {
+    return "";
+  }
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const hunk of hunks) {
+    const oldCount = hunk.filter((change) => change.type !== "+").length;
+    const newCount = hunk.filter((change) => change.type !== "-").length;
+    output.push(
+      `@@ -${formatRange(hunk[0].oldIndex, oldCount)} +${formatRange(hunk[0].newIndex, newCount)} @@`,
+    );
+    for (const change of hunk) {
+      output.push(`${change.type}${change.line}`);
+    }
+  }
+
+  return output.join("\n");
+}
+
+module.exports = {
+  createUnifiedDiff,
+};
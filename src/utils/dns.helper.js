@@ -0,0 +1,36 @@
+const path = require("path");
+
+// certbot runs this for every DNS-01 challenge and it calls the user's hook
+const DNS_HOOK_RUNNER = path.join(__dirname, "..", "..", "bin", "dns-hook.js");
+const DNS_HOOK_ACTIONS = ["add", "remove"];
+
+// Quotes a shell word unless it is plainly safe, such as a path or domain
+function shellQuote(value) {
+  const text = String(value);
+  if (/^[A-Za-z0-9_\/.:=@%+,-]+$/.test(text)) return text;
+  return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+// The TXT record a DNS-01 challenge is answered with; "*.myapp.com" and
+// "myapp.com" share one, each with its own value
+function acmeChallengeRecord(domain) {
+  return `_acme-challenge.${domain.replace(/^\*\./, "")}`;
+}
+
+/**
+ * The --manual-auth-hook/--manual-cleanup-hook command for certbot. It runs the
+ * user's script as "<script> add|remove <record name> <value>", so scripts do
+ * not depend on certbot's environment variables.
+ */
+function dnsHookCommand(action, script) {
+  return [process.execPath, DNS_HOOK_RUNNER, action, path.resolve(script)]
+    .map(shellQuote)
+    .join(" ");
+}
+
+module.exports = {
+  DNS_HOOK_ACTIONS,
+  shellQuote,
+  acmeChallengeRecord,
+  dnsHookCommand,
+};
@@ -1,111 +1,136 @@
-const { spawn } = require("child_process");
+const { spawn, execSync } = require("child_process");
 const fs = require("fs");
 
-async function sudoCreateFileOrFolder(path, itemType, callback) {
-  let sudoProcess;
-  if (itemType === "folder") {
-    sudoProcess = spawn("sudo", ["mkdir", path]);
-  }
-  if (itemType === "file") {
-    sudoProcess = spawn("sudo", ["touch", path]);
-  }
+function runSudo(args, errorMessage, callback) {
+  return new Promise((resolve, reject) => {
+    const sudoProcess = spawn("sudo", args);
+    let stderr = "";
 
-  sudoProcess.on("close", (code) => {
-    if (code === 0) {
-      callback(null);
-    } else {
-      callback(new Error(`Failed to create ${itemType}: ${path}`));
-    }
-  });
+    sudoProcess.stderr.on("data", (data) => {
+      stderr += data;
+    });
+
+    sudoProcess.on("close", (code) => {
+      if (code === 0) {
+        if (callback) callback(null);
+        resolve();
+      } else {
+        const error = new Error(
+          stderr.trim() ? `${errorMessage}: ${stderr.trim()}` : errorMessage,
+        );
+        if (callback) callback(error);
+        reject(error);
+      }
+    });
 
-  sudoProcess.on("error", (err) => {
-    callback(err);
+    sudoProcess.on("error", (err) => {
+      if (callback) callback(err);
+      reject(err);
+    });
   });
 }
 
+async function sudoCreateFileOrFolder(path, itemType, callback) {
+  if (itemType === "folder") {
+    return runSudo(
+      ["mkdir", "-p", path],
+      `Failed to create ${itemType}: ${path}`,
+      callback,
+    );
+  }
+  return runSudo(
+    ["touch", path],
+    `Failed to create ${itemType}: ${path}`,
+    callback,
+  );
+}
+
 async function sudoWriteFsFile(filePath, data, callback) {
   return new Promise((resolve, reject) => {
-    const sudoProcess = spawn("sudo", ["tee", filePath]);
+    const sudoProcess = spawn("sudo", ["tee", filePath], {
+      stdio: ["pipe", "ignore", "pipe"],
+    });
+    let stderr = "";
 
     sudoProcess.stdin.write(data);
     sudoProcess.stdin.end();
 
     sudoProcess.stderr.on("data", (data) => {
-      callback(data);
+      stderr += data;
     });
 
     sudoProcess.on("close", (code) => {
       if (code === 0) {
+        if (callback) callback(null);
         resolve();
       } else {
-        callback(reject(new Error(`Failed to write file. Exit code: ${code}`)));
+        const error = new Error(
+          `Failed to write file. Exit code: ${code}${stderr ? ` (${stderr.trim()})` : ""}`,
+        );
+        if (callback) callback(error);
+        reject(error);
       }
     });
 
     sudoProcess.on("error", (err) => {
-      callback(reject(err));
+      if (callback) callback(err);
+      reject(err);
     });
   });
 }
 
 async function sudoLinkFsFile(path1, path2, callback) {
-  const sudoProcess = spawn("sudo", ["ln", "-s", path1, path2]);
-
-  sudoProcess.stderr.on("data", (data) => {
-    console.error(`stderr: ${data}`);
-  });
-
-  sudoProcess.stdout.on("data", (data) => {
-    console.log(`stdout: ${data}`);
-  });
-
-  sudoProcess.on("close", (code) => {
-    if (code === 0) {
-      callback(null);
-    }
+  // -f replaces an existing link, -n keeps it from descending into a directory link
+  return runSudo(
+    ["ln", "-sfn", path1, path2],
+    `Failed to link ${path2} -> ${path1}`,
+    callback,
+  );
+}
 
-    if (code === 1) {
-      const removeProcess = spawn("sudo", ["rm", path2]);
+async function sudoUnlinkFsFile(path, callback) {
+  return runSudo(
+    ["rm", "-f", path],
+    `Failed to remove file: ${path}`,
+    callback,
+  );
+}
 
-      removeProcess.on("close", (rmCode) => {
-        if (rmCode === 0) {
-          sudoLinkFsFile(path1, path2, callback);
-        } else {
-          callback(new Error(`Failed to remove file: ${path2}`));
-        }
-      });
+function readFileIfExists(filePath, encoding = "utf8") {
+  try {
+    return fs.readFileSync(filePath, encoding);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
     }
-  });
-
-  sudoProcess.on("error", (err) => {
-    console.log("Link Error", err);
-    callback(err);
-  });
+    throw error;
+  }
 }
 
-async function sudoUnlinkFsFile(code, path, callback) {
-  const sudoProcess = spawn("sudo", ["rm", `${path}`]);
-
-  sudoProcess.stderr.on("data", (data) => {
-    console.error(`stderr: ${data}`);
-  });
-
-  sudoProcess.stdout.on("data", (data) => {
-    console.log(`stdout: ${data}`);
-  });
-
-  sudoProcess.on("close", (code) => {
-    if (code === 0) {
-      callback(null);
-    } else {
-      callback(new Error(`Failed to remove file: ${path}`));
-    }
-  });
+/**
+ * Like readFileIfExists, falling back to sudo for files only root may read.
+ * A null encoding returns a Buffer.
+ */
+function readFileAsRoot(filePath, encoding = "utf8") {
+  try {
+    return readFileIfExists(filePath, encoding);
+  } catch (error) {
+    if (error.code !== "EACCES") throw error;
+    return execSync(`sudo cat ${filePath}`, {
+      encoding,
+      stdio: "pipe",
+    });
+  }
+}
 
-  sudoProcess.on("error", (err) => {
-    console.log("Unlink Error:", err);
-    callback(err);
-  });
+// True for files and for symlinks, even dangling ones
+function isLinkPresent(filePath) {
+  try {
+    fs.lstatSync(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
 }
 
 module.exports = {
@@ -113,4 +138,7 @@ module.exports = {
   sudoWriteFsFile,
   sudoLinkFsFile,
   sudoUnlinkFsFile,
+  readFileIfExists,
+  readFileAsRoot,
+  isLinkPresent,
 };
@@ -0,0 +1,153 @@
+const net = require("net");
+const http = require("http");
+const { parseUpstreamList } = require("./upstream.helper");
+const { parseRoutes } = require("./route.helper");
+
+const HEALTH_TIMEOUT_MS = 3000;
+const DEFAULT_HEALTH_STATUS = 200;
+
+// "host:port", "[::1]:3000" or "unix:/run/app.sock" as net/http options
+function connectOptions(address) {
+  if (address.startsWith("unix:")) return { socketPath: address.slice(5) };
+  const separator = address.lastIndexOf(":");
+  return {
+    host: address.slice(0, separator).replace(/^\[|\]$/g, ""),
+    port: Number(address.slice(separator + 1)),
+  };
+}
+
+// Every address the site proxies to: its upstream servers (or 127.0.0.1:<port>) and routes
+function siteUpstreams(options) {
+  const addresses = [];
+  if (options.upstream) {
+    addresses.push(
+      ...parseUpstreamList(options.upstream).map((server) => server.address),
+    );
+  } else if (!options.root) {
+    addresses.push(`127.0.0.1:${options.port}`);
+  }
+  for (const route of parseRoutes(options.routes)) {
+    if (route.address) addresses.push(route.address);
+  }
+  return [...new Set(addresses)];
+}
+
+function elapsedMs(start) {
+  return Math.round(Number(process.hrtime.bigint() - start) / 1e6);
+}
+
+// Resolves with the connect latency in ms, rejects when nothing accepts in time
+function connectTcp(address, timeout = HEALTH_TIMEOUT_MS) {
+  const { socketPath, host, port } = connectOptions(address);
+  return new Promise((resolve, reject) => {
+    const start = process.hrtime.bigint();
+    const socket = socketPath
+      ? net.connect({ path: socketPath })
+      : net.connect({ host, port });
+    socket.setTimeout(timeout, () => {
+      socket.destroy();
+      reject(new Error(`no answer within ${timeout}ms`));
+    });
+    socket.once("connect", () => {
+      socket.end();
+      resolve(elapsedMs(start));
+    });
+    socket.once("error", (error) => {
+      socket.destroy();
+      reject(new Error(error.code || error.message));
+    });
+  });
+}
+
+/**
+ * Sends GET <healthPath> with the site's Host header, as nginx would proxy it.
+ * Resolves { status, statusText, body, latency } with the start of the body.
+ */
+function requestHealth(
+  address,
+  healthPath,
+  domain,
+  timeout = HEALTH_TIMEOUT_MS,
+) {
+  return new Promise((resolve, reject) => {
+    const start = process.hrtime.bigint();
+    const request = http.request(
+      {
+        ...connectOptions(address),
+        path: healthPath,
+        headers: { Host: domain, "User-Agent": "fast-nginx health check" },
+        timeout,
+      },
+      (response) => {
+        let body = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          body += chunk;
+          // The first line is all that is shown
+          if (body.length > 200) response.destroy();
+        });
+        const finish = () =>
+          resolve({
+            status: response.statusCode,
+            statusText: response.statusMessage,
+            body: body.split("\n")[0].trim().slice(0, 60),
+            latency: elapsedMs(start),
+          });
+        response.once("end", finish);
+        response.once("close", finish);
+      },
+    );
+    request.once("timeout", () => {
+      request.destroy(new Error(`no response within ${timeout}ms`));
+    });
+    request.once("error", (error) =>
+      reject(new Error(error.code || error.message)),
+    );
+    request.end();
+  });
+}
+
+/**
+ * Checks one upstream address: a TCP connection and, with healthPath, an HTTP
+ * request that has to answer expectedStatus. Never rejects; resolves
+ * { ok, message } with the latency and the response.
+ */
+async function probeUpstream(
+  address,
+  { healthPath, expectedStatus = DEFAULT_HEALTH_STATUS, domain },
+) {
+  let connectLatency;
+  try {
+    connectLatency = await connectTcp(address);
+  } catch (error) {
+    return { ok: false, message: `Cannot connect: ${error.message}` };
+  }
+  if (!healthPath) {
+    return {
+      ok: true,
+      message: `Accepting connections (${connectLatency}ms)`,
+    };
+  }
+
+  let response;
+  try {
+    response = await requestHealth(address, healthPath, domain);
+  } catch (error) {
+    return {
+      ok: false,
+      message: `Connected in ${connectLatency}ms, but GET ${healthPath} failed: ${error.message}`,
+    };
+  }
+  const answer = `GET ${healthPath} answered ${response.status} ${response.statusText}${
+    response.body ? ` "${response.body}"` : ""
+  } in ${response.latency}ms`;
+  if (response.status !== Number(expectedStatus)) {
+    return { ok: false, message: `${answer}, expected ${expectedStatus}` };
+  }
+  return { ok: true, message: answer };
+}
+
+module.exports = {
+  siteUpstreams,
+  probeUpstream,
+};
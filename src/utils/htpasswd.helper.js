@@ -0,0 +1,109 @@
+const crypto = require("crypto");
+const path = require("path");
+const { readFileAsRoot } = require("./file.helper");
+const { getLayout } = require("./layout.helper");
+
+const ITOA64 =
+  "./0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+
+// fast-nginx keeps the files it maintains for sites under its own directory
+function htpasswdDir() {
+  return path.join(getLayout().managedDir, "htpasswd");
+}
+
+function htpasswdPath(domain) {
+  return path.join(htpasswdDir(), domain);
+}
+
+function to64(value, length) {
+  let output = "";
+  for (let i = 0; i < length; i++) {
+    output += ITOA64[value & 0x3f];
+    value >>= 6;
+  }
+  return output;
+}
+
+function md5(...parts) {
+  const hash = crypto.createHash("md5");
+  for (const part of parts) hash.update(part);
+  return hash.digest();
+}
+
+/**
+ * Apache's MD5-based "$apr1$" password hash, which nginx's auth_basic_user_file
+ * understands on every platform (bcrypt depends on the system's crypt()).
+ */
+function apr1Hash(password, salt = randomSalt()) {
+  const magic = "$apr1$";
+  const pw = Buffer.from(password, "utf8");
+  const saltBuffer = Buffer.from(salt, "utf8");
+
+  let final = md5(pw, saltBuffer, pw);
+  const context = crypto.createHash("md5");
+  context.update(pw);
+  context.update(magic);
+  context.update(saltBuffer);
+  for (let length = pw.length; length > 0; length -= 16) {
+    context.update(final.subarray(0, Math.min(16, length)));
+  }
+  for (let i = pw.length; i > 0; i >>= 1) {
+    context.update(i & 1 ? Buffer.from([0]) : pw.subarray(0, 1));
+  }
+  final = context.digest();
+
+  // Deliberately slow: 1000 extra rounds
+  for (let i = 0; i < 1000; i++) {
+    final = md5(
+      i & 1 ? pw : final,
+      i % 3 ? saltBuffer : Buffer.alloc(0),
+      i % 7 ? pw : Buffer.alloc(0),
+      i & 1 ? final : pw,
+    );
+  }
+
+  const encoded =
+    to64((final[0] << 16) | (final[6] << 8) | final[12], 4) +
+    to64((final[1] << 16) | (final[7] << 8) | final[13], 4) +
+    to64((final[2] << 16) | (final[8] << 8) | final[14], 4) +
+    to64((final[3] << 16) | (final[9] << 8) | final[15], 4) +
+    to64((final[4] << 16) | (final[10] << 8) | final[5], 4) +
+    to64(final[11], 2);
+
+  return `${magic}${salt}$${encoded}`;
+}
+
+function randomSalt() {
+  return Array.from(crypto.randomBytes(8), (byte) => ITOA64[byte & 0x3f]).join(
+    "",
+  );
+}
+
+// "user:hash" lines into a Map, keeping the order of the file
+function parseHtpasswd(content) {
+  const users = new Map();
+  for (const line of String(content || "").split("\n")) {
+    const separator = line.indexOf(":");
+    if (separator <= 0) continue;
+    users.set(line.slice(0, separator), line.slice(separator + 1).trim());
+  }
+  return users;
+}
+
+// The users of a site's htpasswd file; it is only readable by root and nginx
+function readHtpasswd(domain) {
+  return parseHtpasswd(readFileAsRoot(htpasswdPath(domain)));
+}
+
+function formatHtpasswd(users) {
+  return Array.from(users, ([user, hash]) => `${user}:${hash}\n`).join("");
+}
+
+module.exports = {
+  htpasswdDir,
+  htpasswdPath,
+  apr1Hash,
+  parseHtpasswd,
+  readHtpasswd,
+  formatHtpasswd,
+};
@@ -0,0 +1,124 @@
+const { execSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const {
+  loadNginxConfig,
+  includePatterns,
+  matchesInclude,
+} = require("./nginx-config.helper");
+
+/**
+ * Where sites go. "sites" is the Debian/Ubuntu sites-available + sites-enabled
+ * pair; "conf.d" is the RHEL/Alpine/nginx.org layout where nginx.conf only
+ * includes conf.d/*.conf, so fast-nginx keeps the configs in its own directory
+ * and links the enabled ones into conf.d.
+ */
+const LAYOUTS = ["sites", "conf.d"];
+const DEFAULT_CONF_PATH = "/etc/nginx/nginx.conf";
+
+let currentLayout = null;
+
+// nginx.conf as compiled into the nginx binary (--conf-path, relative to --prefix)
+function detectConfPath() {
+  let output;
+  try {
+    output = execSync("nginx -V 2>&1", { encoding: "utf8", stdio: "pipe" });
+  } catch (error) {
+    return DEFAULT_CONF_PATH;
+  }
+  const confPath = /--conf-path=(\S+)/.exec(output);
+  if (!confPath) return DEFAULT_CONF_PATH;
+  const prefix = /--prefix=(\S+)/.exec(output);
+  return path.resolve(prefix ? prefix[1] : "/", confPath[1]);
+}
+
+/**
+ * Loads nginx.conf with everything it includes. Missing is not an error (the
+ * checks report it); one that does not parse is, as { error }.
+ */
+function readNginxConfig(confPath) {
+  if (!fs.existsSync(confPath)) return { config: null, error: null };
+  try {
+    return { config: loadNginxConfig(confPath), error: null };
+  } catch (error) {
+    return { config: null, error: error.message };
+  }
+}
+
+// The include pattern that loads filePath, or null when none does
+function findInclude(includes, filePath) {
+  return includes.find((include) => matchesInclude(include, filePath)) || null;
+}
+
+/**
+ * Resolves the layout from --nginx-root and --layout, detecting what is not
+ * given: the root is the directory of nginx.conf, and the layout follows
+ * whichever of sites-enabled and conf.d its http block includes. config is the
+ * parsed nginx.conf (see nginx-config.helper), configError why it could not be.
+ */
+function resolveLayout({ nginxRoot, layout } = {}) {
+  const confPath = nginxRoot
+    ? path.join(path.resolve(nginxRoot), "nginx.conf")
+    : detectConfPath();
+  const root = path.dirname(confPath);
+  const { config, error } = readNginxConfig(confPath);
+  // Only includes of the http context can load server blocks
+  const includes = config ? includePatterns(config, "http") : [];
+  const confDir = path.join(root, "conf.d");
+  const sitesEnabledDir = path.join(root, "sites-enabled");
+
+  let name = layout;
+  if (!name) {
+    if (findInclude(includes, path.join(sitesEnabledDir, "example.com"))) {
+      name = "sites";
+    } else if (findInclude(includes, path.join(confDir, "example.com.conf"))) {
+      name = "conf.d";
+    } else {
+      name = fs.existsSync(sitesEnabledDir) ? "sites" : "conf.d";
+    }
+  }
+  const sites = name === "sites";
+
+  return {
+    name,
+    detected: !layout,
+    custom: Boolean(nginxRoot),
+    root,
+    confPath,
+    config,
+    configError: error,
+    includes,
+    confDir,
+    managedDir: path.join(root, "fast-nginx"),
+    availableDir: sites
+      ? path.join(root, "sites-available")
+      : path.join(root, "fast-nginx", "sites"),
+    enabledDir: sites ? sitesEnabledDir : confDir,
+    // conf.d only loads *.conf files
+    siteFile: (domain) => (sites ? domain : `${domain}.conf`),
+  };
+}
+
+// Sets the layout every command works with; throws on an unknown --layout
+function configureLayout(options) {
+  if (options.layout && !LAYOUTS.includes(options.layout)) {
+    throw new Error(
+      `Unknown layout: ${options.layout} (available: ${LAYOUTS.join(", ")})`,
+    );
+  }
+  currentLayout = resolveLayout(options);
+  return currentLayout;
+}
+
+function getLayout() {
+  currentLayout = currentLayout || resolveLayout();
+  return currentLayout;
+}
+
+module.exports = {
+  LAYOUTS,
+  resolveLayout,
+  configureLayout,
+  getLayout,
+  findInclude,
+};
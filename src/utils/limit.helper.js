@@ -0,0 +1,38 @@
+const { domainIdentifier } = require("./upstream.helper");
+
+// Shared memory per zone; 10m holds about 160,000 client addresses
+const ZONE_SIZE = "10m";
+
+/**
+ * Zone names are global across nginx, so they carry the site's domain and, for
+ * route overrides, the route path with every other character hex-escaped
+ * ("/api/v1" -> "api_2fv1").
+ */
+function limitZoneName(domain, kind, routePath) {
+  const base = `fastnginx_${domainIdentifier(domain)}_${kind}`;
+  if (!routePath) return base;
+  const suffix = routePath
+    .replace(/^\/+|\/+$/g, "")
+    .replace(/[^a-zA-Z0-9]/g, (char) => `_${char.charCodeAt(0).toString(16)}`);
+  return `${base}_${suffix}`;
+}
+
+// The --rate-limit, --burst and --conn-limit settings of a site
+function siteLimits(options) {
+  return {
+    rate: options.rateLimit,
+    burst: options.burst,
+    conn: options.connLimit,
+  };
+}
+
+function hasLimits(limits) {
+  return Boolean(limits && (limits.rate || limits.conn));
+}
+
+module.exports = {
+  ZONE_SIZE,
+  limitZoneName,
+  siteLimits,
+  hasLimits,
+};
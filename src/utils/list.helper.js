@@ -0,0 +1,12 @@
+// "a, b" strings from the command line (repeated options give several) or lists from a sites file
+function parseList(value) {
+  const entries = Array.isArray(value) ? value : [value];
+  return entries
+    .flatMap((entry) => String(entry ?? "").split(","))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  parseList,
+};
@@ -0,0 +1,166 @@
+const crypto = require("crypto");
+const os = require("os");
+const path = require("path");
+const { readFileIfExists, readFileAsRoot } = require("./file.helper");
+const { getLayout } = require("./layout.helper");
+const { createCertificate, generateKeyPair } = require("./x509.helper");
+const {
+  EXPIRY_WARNING_DAYS,
+  readCertificateInfo,
+  nameField,
+  uncoveredNames,
+} = require("./certificate.helper");
+
+// The issuer organization that marks certificates from the local CA
+const LOCAL_CA_ORGANIZATION = "fast-nginx";
+const CA_VALIDITY_DAYS = 3650;
+// Within the lifetime limits browsers put on server certificates
+const CERTIFICATE_VALIDITY_DAYS = 397;
+
+// The CA of this run: loaded from disk, or created (not yet written) once
+let localCa = null;
+
+// The files of the root CA behind --ssl self-signed, created on first use
+function localCaPaths() {
+  const directory = path.join(getLayout().managedDir, "ca");
+  return {
+    directory,
+    certificate: path.join(directory, "ca.pem"),
+    key: path.join(directory, "ca.key"),
+  };
+}
+
+function daysFromNow(days) {
+  return new Date(Date.now() + days * 86400000);
+}
+
+function loadLocalCa() {
+  const paths = localCaPaths();
+  const certificatePem = readFileIfExists(paths.certificate);
+  if (certificatePem === null) return null;
+
+  const keyPem = readFileAsRoot(paths.key);
+  if (keyPem === null) {
+    throw new Error(`${paths.certificate} exists without ${paths.key}`);
+  }
+  const certificate = new crypto.X509Certificate(certificatePem);
+  const privateKey = crypto.createPrivateKey(keyPem);
+  if (!certificate.checkPrivateKey(privateKey)) {
+    throw new Error(`${paths.key} is not the key of ${paths.certificate}`);
+  }
+  return { certificatePem, keyPem, certificate, privateKey, created: false };
+}
+
+function createLocalCa() {
+  const { publicKey, privateKey } = generateKeyPair();
+  // The host name tells the CAs of different machines apart in a trust store
+  const subject = {
+    organizationName: LOCAL_CA_ORGANIZATION,
+    commonName: `fast-nginx local CA (${os.hostname()})`,
+  };
+  const certificatePem = createCertificate({
+    subject,
+    publicKey,
+    issuerKey: privateKey,
+    notBefore: daysFromNow(-1),
+    notAfter: daysFromNow(CA_VALIDITY_DAYS),
+    ca: true,
+  });
+  return {
+    certificatePem,
+    keyPem: privateKey.export({ type: "pkcs8", format: "pem" }),
+    certificate: new crypto.X509Certificate(certificatePem),
+    privateKey,
+    created: true,
+  };
+}
+
+/**
+ * The local CA as { certificatePem, keyPem, certificate, privateKey, created }.
+ * A new one has created set and still has to be written to localCaPaths(); every
+ * certificate of the same run is issued by it.
+ */
+function getLocalCa() {
+  localCa = localCa || loadLocalCa() || createLocalCa();
+  return localCa;
+}
+
+/**
+ * Issues a server certificate for the names (the first one is the subject)
+ * with a fresh key. Returns { ca, fullchain, key } as PEM; the root is left out
+ * of the chain since clients have to trust it already.
+ */
+function issueLocalCertificate(names) {
+  const ca = getLocalCa();
+  const { publicKey, privateKey } = generateKeyPair();
+  const fullchain = createCertificate({
+    subject: { commonName: names[0] },
+    publicKey,
+    issuer: {
+      organizationName: nameField(ca.certificate.subject, "O"),
+      commonName: nameField(ca.certificate.subject, "CN"),
+    },
+    issuerKey: ca.privateKey,
+    issuerPublicKey: ca.certificate.publicKey,
+    // An hour of slack for clients with a slow clock
+    notBefore: new Date(Date.now() - 3600000),
+    notAfter: daysFromNow(CERTIFICATE_VALIDITY_DAYS),
+    dnsNames: names,
+  });
+  return {
+    ca,
+    fullchain,
+    key: privateKey.export({ type: "pkcs8", format: "pem" }),
+  };
+}
+
+function isLocalCaCertificate(info) {
+  return nameField(info.issuer, "O") === LOCAL_CA_ORGANIZATION;
+}
+
+/**
+ * Whether the certificate file can stay: issued by the current local CA,
+ * covering all names and not about to expire.
+ */
+function isLocalCertificateCurrent(certificatePath, names) {
+  if (readFileIfExists(localCaPaths().certificate) === null) return false;
+  try {
+    const info = readCertificateInfo(certificatePath);
+    if (!info) return false;
+    const certificate = new crypto.X509Certificate(
+      readFileIfExists(certificatePath),
+    );
+    const ca = getLocalCa().certificate;
+    return (
+      certificate.checkIssued(ca) &&
+      certificate.verify(ca.publicKey) &&
+      uncoveredNames(info, names).length === 0 &&
+      info.daysRemaining >= EXPIRY_WARNING_DAYS
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+// How to make clients trust the local CA, one line per platform
+function trustInstructions(domain) {
+  const { certificate } = localCaPaths();
+  return [
+    `Debian/Ubuntu: sudo cp ${certificate} /usr/local/share/ca-certificates/fast-nginx-local-ca.crt && sudo update-ca-certificates`,
+    `RHEL/Fedora:   sudo cp ${certificate} /etc/pki/ca-trust/source/anchors/fast-nginx-local-ca.pem && sudo update-ca-trust`,
+    `macOS:         sudo security add-trusted-cert -d -r trustRoot -k /Library/Keychains/System.keychain ca.pem`,
+    `Windows:       certutil -addstore -f ROOT ca.pem`,
+    `Firefox:       Settings > Privacy & Security > Certificates > Import (it keeps its own store)`,
+    `Node.js:       NODE_EXTRA_CA_CERTS=${certificate}`,
+    `Just curl:     curl --cacert ${certificate} https://${domain}`,
+  ];
+}
+
+module.exports = {
+  localCaPaths,
+  getLocalCa,
+  issueLocalCertificate,
+  isLocalCaCertificate,
+  isLocalCertificateCurrent,
+  trustInstructions,
+};
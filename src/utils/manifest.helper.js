@@ -0,0 +1,93 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { defaultTemplateName } = require("../templates");
+const { accessRules } = require("./route.helper");
+
+// Same defaults as the setup command's options
+const SITE_DEFAULTS = {
+  port: "3000",
+  security: "standard",
+  sslMethod: "webroot",
+};
+
+function toCamelCase(key) {
+  return key.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function normalizeKeys(object) {
+  const result = {};
+  for (const [key, value] of Object.entries(object || {})) {
+    result[toCamelCase(key)] = value;
+  }
+  return result;
+}
+
+function parseManifest(filePath, source) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === ".yml" || extension === ".yaml") {
+    return YAML.parse(source);
+  }
+  return JSON.parse(source);
+}
+
+/**
+ * Loads a sites file (JSON or YAML). It is either a list of sites or an object
+ * with `sites` and optional `defaults`; every site is turned into the same
+ * options object the setup command receives. Keys may be camelCase or
+ * kebab-case, and a site's `options` are merged into it.
+ */
+function loadManifest(filePath) {
+  let source;
+  try {
+    source = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    throw new Error(`Cannot read ${filePath}: ${error.message}`);
+  }
+
+  let manifest;
+  try {
+    manifest = parseManifest(filePath, source);
+  } catch (error) {
+    throw new Error(`Cannot parse ${filePath}: ${error.message}`);
+  }
+
+  const declared = Array.isArray(manifest)
+    ? manifest
+    : manifest && manifest.sites;
+  if (!Array.isArray(declared)) {
+    throw new Error(
+      `${filePath} must contain a list of sites or a "sites" list`,
+    );
+  }
+  const defaults = normalizeKeys(
+    Array.isArray(manifest) ? {} : manifest.defaults,
+  );
+
+  const seen = new Set();
+  return declared.map((entry, index) => {
+    if (!entry || typeof entry !== "object" || !entry.domain) {
+      throw new Error(`sites[${index}] must be an object with a "domain"`);
+    }
+    if (seen.has(entry.domain)) {
+      throw new Error(`sites[${index}]: ${entry.domain} is declared twice`);
+    }
+    seen.add(entry.domain);
+
+    const { options: extra, ...site } = normalizeKeys(entry);
+    const merged = {
+      ...SITE_DEFAULTS,
+      ...defaults,
+      ...site,
+      ...normalizeKeys(extra),
+    };
+    merged.port = String(merged.port);
+    merged.accessRules = accessRules(merged);
+    merged.template = merged.template || defaultTemplateName(merged);
+    return merged;
+  });
+}
+
+module.exports = {
+  loadManifest,
+};
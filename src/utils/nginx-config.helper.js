@@ -0,0 +1,415 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * A small nginx configuration parser. parseNginxConfig turns a file into a
+ * tree of nodes that keep their original text, so serializeNginxConfig gives
+ * back the input byte for byte and only rewrites the directives that were
+ * edited (or added with createDirective):
+ *
+ *   { type: "directive", name, args, line, children }  children only for blocks
+ *   { type: "comment", text, line }
+ */
+
+function fail(file, line, message) {
+  throw new Error(`${file}:${line}: ${message}`);
+}
+
+function unquote(text) {
+  const quote = text[0];
+  const escapes = quote === '"' ? { n: "\n", r: "\r", t: "\t" } : {};
+  return text
+    .slice(1, -1)
+    .replace(/\\(.)/gs, (match, character) =>
+      character === quote || character === "\\"
+        ? character
+        : escapes[character] || match,
+    );
+}
+
+// Splits the source into words, comments, whitespace and ; { }, like nginx's own lexer
+function tokenize(source, file) {
+  const tokens = [];
+  let index = 0;
+  let line = 1;
+
+  while (index < source.length) {
+    const start = index;
+    const startLine = line;
+    const character = source[index];
+
+    if (/\s/.test(character)) {
+      while (index < source.length && /\s/.test(source[index])) {
+        if (source[index] === "\n") line++;
+        index++;
+      }
+      tokens.push({ type: "space", text: source.slice(start, index), line });
+      continue;
+    }
+    if (character === "#") {
+      while (index < source.length && source[index] !== "\n") index++;
+      tokens.push({ type: "comment", text: source.slice(start, index), line });
+      continue;
+    }
+    if (character === ";" || character === "{" || character === "}") {
+      index++;
+      tokens.push({ type: character, text: character, line });
+      continue;
+    }
+    if (character === '"' || character === "'") {
+      index++;
+      while (index < source.length && source[index] !== character) {
+        if (source[index] === "\\") index++;
+        if (source[index] === "\n") line++;
+        index++;
+      }
+      if (index >= source.length) fail(file, startLine, "unterminated string");
+      index++;
+      const text = source.slice(start, index);
+      tokens.push({
+        type: "word",
+        text,
+        value: unquote(text),
+        line: startLine,
+      });
+      continue;
+    }
+
+    // A bare word runs until whitespace or ; { }, except for ${variable}
+    while (index < source.length) {
+      const current = source[index];
+      if (/\s/.test(current) || current === ";" || current === "}") break;
+      if (current === "\\") {
+        index += 2;
+        continue;
+      }
+      if (current === "{") {
+        if (source[index - 1] !== "$") break;
+        const close = source.indexOf("}", index);
+        if (close === -1) fail(file, line, "unterminated variable");
+        index = close + 1;
+        continue;
+      }
+      index++;
+    }
+    const text = source.slice(start, index);
+    tokens.push({ type: "word", text, value: text, line });
+  }
+
+  return tokens;
+}
+
+/**
+ * Parses nginx configuration text. Throws "<file>:<line>: <message>" on
+ * unbalanced braces, missing semicolons and unterminated strings.
+ */
+function parseNginxConfig(source, file = "nginx.conf") {
+  const tokens = tokenize(String(source), file);
+  let position = 0;
+
+  // The nodes up to the closing brace (or the end of the file at the top level)
+  function parseBlock(opening) {
+    const children = [];
+    let before = "";
+
+    while (position < tokens.length) {
+      const token = tokens[position];
+      if (token.type === "space") {
+        before += token.text;
+        position++;
+        continue;
+      }
+      if (token.type === "comment") {
+        children.push({
+          type: "comment",
+          text: token.text.slice(1).trim(),
+          line: token.line,
+          before,
+          raw: token.text,
+        });
+        before = "";
+        position++;
+        continue;
+      }
+      if (token.type === "}") {
+        if (!opening) fail(file, token.line, 'unexpected "}"');
+        position++;
+        return { children, after: before };
+      }
+      if (token.type !== "word") {
+        fail(file, token.line, `unexpected "${token.text}"`);
+      }
+
+      // A directive: words (and any comments between them) up to ; or {
+      const words = [];
+      let raw = "";
+      while (
+        position < tokens.length &&
+        !["{", "}", ";"].includes(tokens[position].type)
+      ) {
+        raw += tokens[position].text;
+        if (tokens[position].type === "word") {
+          words.push(tokens[position].value);
+        }
+        position++;
+      }
+      const end = tokens[position];
+      if (!end || end.type === "}") {
+        fail(
+          file,
+          end ? end.line : token.line,
+          `directive "${words[0]}" is not terminated by ";"`,
+        );
+      }
+      position++;
+
+      const node = {
+        type: "directive",
+        name: words[0],
+        args: words.slice(1),
+        line: token.line,
+        before,
+        raw: raw + end.text,
+        original: { name: words[0], args: words.slice(1) },
+      };
+      if (end.type === "{") {
+        const block = parseBlock(end);
+        node.children = block.children;
+        node.after = block.after;
+      }
+      children.push(node);
+      before = "";
+    }
+
+    if (opening)
+      fail(file, opening.line, 'unexpected end of file, expecting "}"');
+    return { children, after: before };
+  }
+
+  const { children, after } = parseBlock(null);
+  return { type: "config", file, children, after };
+}
+
+function quoteArgument(argument) {
+  const text = String(argument);
+  if (
+    text !== "" &&
+    !/[\s;'"\\]|^#/.test(text) &&
+    !/[{}]/.test(text.replace(/\$\{\w+\}/g, ""))
+  ) {
+    return text;
+  }
+  const escapes = { "\n": "\\n", "\r": "\\r", "\t": "\\t" };
+  return `"${text.replace(/["\\]/g, "\\$&").replace(/[\n\r\t]/g, (character) => escapes[character])}"`;
+}
+
+function isEdited(node) {
+  return (
+    !node.raw ||
+    node.name !== node.original.name ||
+    node.args.length !== node.original.args.length ||
+    node.args.some((argument, index) => argument !== node.original.args[index])
+  );
+}
+
+// Added nodes go on their own line, indented like their parsed siblings
+function indentation(nodes, parentIndent) {
+  const sibling = nodes.find((node) => /\n/.test(node.before || ""));
+  if (sibling) {
+    return sibling.before.slice(sibling.before.lastIndexOf("\n") + 1);
+  }
+  if (parentIndent === null) return "";
+  return parentIndent + (parentIndent.includes("\t") ? "\t" : "    ");
+}
+
+// parentIndent is null at the top level
+function serializeNodes(nodes, parentIndent) {
+  const indent = indentation(nodes, parentIndent);
+  return nodes
+    .map((node) => {
+      const before = node.before === undefined ? `\n${indent}` : node.before;
+      if (node.type === "comment") {
+        return `${before}${node.raw || `# ${node.text}`}`;
+      }
+
+      const head = isEdited(node)
+        ? `${[node.name, ...node.args.map(quoteArgument)].join(" ")}${
+            node.children ? " {" : ";"
+          }`
+        : node.raw;
+      if (!node.children) return `${before}${head}`;
+      const after = node.after === undefined ? `\n${indent}` : node.after;
+      return `${before}${head}${serializeNodes(node.children, indent)}${after}}`;
+    })
+    .join("");
+}
+
+// The configuration text of a parsed (and possibly edited) tree
+function serializeNginxConfig(config) {
+  const after = config.after === undefined ? "\n" : config.after;
+  return `${serializeNodes(config.children, null)}${after}`;
+}
+
+// A new directive for an edited tree; pass children (e.g. []) for a block
+function createDirective(name, args = [], children) {
+  return {
+    type: "directive",
+    name,
+    args,
+    ...(children ? { children } : {}),
+  };
+}
+
+// nginx include patterns only use * and ? wildcards
+function globToRegExp(glob) {
+  const source = glob
+    .split("")
+    .map((character) => {
+      if (character === "*") return "[^/]*";
+      if (character === "?") return "[^/]";
+      return character.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+function matchesInclude(pattern, filePath) {
+  return globToRegExp(pattern).test(filePath);
+}
+
+// The files an include pattern loads, in nginx's (sorted) order
+function expandInclude(pattern) {
+  if (!/[*?]/.test(pattern)) return [pattern];
+  const directory = path.dirname(pattern);
+  if (/[*?]/.test(directory) || !fs.existsSync(directory)) return [];
+  const basename = globToRegExp(path.basename(pattern));
+  return fs
+    .readdirSync(directory)
+    .filter((entry) => basename.test(entry))
+    .map((entry) => path.join(directory, entry))
+    .filter((file) => {
+      try {
+        return fs.statSync(file).isFile();
+      } catch (error) {
+        // A dangling link loads nothing
+        return false;
+      }
+    })
+    .sort();
+}
+
+/**
+ * Calls visit(node, parents, file) for every directive, parents being the
+ * enclosing blocks from the outside in. The contents of loaded includes are
+ * visited in the context of their include directive.
+ */
+function walkDirectives(config, visit) {
+  const walk = (nodes, file, enclosing) => {
+    for (const node of nodes) {
+      if (node.type !== "directive") continue;
+      visit(node, enclosing, file);
+      if (node.children) walk(node.children, file, [...enclosing, node]);
+      for (const included of node.included || []) {
+        if (included.config) {
+          walk(included.config.children, included.file, enclosing);
+        }
+      }
+    }
+  };
+  walk(config.children, config.file, []);
+}
+
+// Every directive with the name as { node, parents, file }
+function findDirectives(config, name) {
+  const found = [];
+  walkDirectives(config, (node, parents, file) => {
+    if (node.name === name) found.push({ node, parents, file });
+  });
+  return found;
+}
+
+function inContext(parents, context) {
+  return parents.map((parent) => parent.name).join(" ") === context;
+}
+
+/**
+ * Reads nginx.conf and, recursively, every file its includes load (relative
+ * patterns are relative to the nginx.conf directory). An included file that
+ * cannot be read or parsed is kept with an error instead of a config.
+ */
+function loadNginxConfig(confPath) {
+  const root = path.dirname(confPath);
+  const load = (file, level) => {
+    const config = parseNginxConfig(fs.readFileSync(file, "utf8"), file);
+    const includes = [];
+    walkDirectives(config, (node) => {
+      if (node.name === "include" && node.args[0]) includes.push(node);
+    });
+    for (const node of includes) {
+      node.pattern = path.resolve(root, node.args[0]);
+      node.included = expandInclude(node.pattern).map((included) => {
+        if (level >= 8) {
+          return { file: included, error: "includes nested too deeply" };
+        }
+        try {
+          return { file: included, config: load(included, level + 1) };
+        } catch (error) {
+          return { file: included, error: error.message };
+        }
+      });
+    }
+    return config;
+  };
+  return load(confPath, 0);
+}
+
+// The absolute include patterns directly inside a context such as "http"
+function includePatterns(config, context = "http") {
+  const root = path.dirname(config.file);
+  return findDirectives(config, "include")
+    .filter(({ node, parents }) => node.args[0] && inContext(parents, context))
+    .map(({ node }) => node.pattern || path.resolve(root, node.args[0]));
+}
+
+/**
+ * The server blocks of the http context as { node, file, line, serverNames,
+ * listens }. A site file on its own is all http context: pass "" for it.
+ */
+function serverBlocks(config, context = "http") {
+  return findDirectives(config, "server")
+    .filter(({ node, parents }) => node.children && inContext(parents, context))
+    .map(({ node, file }) => {
+      const directives = (name) =>
+        node.children.filter(
+          (child) => child.type === "directive" && child.name === name,
+        );
+      return {
+        node,
+        file,
+        line: node.line,
+        serverNames: directives("server_name").flatMap((child) => child.args),
+        listens: directives("listen").map((child) => child.args),
+      };
+    });
+}
+
+// The server blocks whose server_name lists the name (case-insensitively)
+function serversClaiming(config, serverName) {
+  const name = serverName.toLowerCase();
+  return serverBlocks(config).filter((server) =>
+    server.serverNames.some((claimed) => claimed.toLowerCase() === name),
+  );
+}
+
+module.exports = {
+  parseNginxConfig,
+  serializeNginxConfig,
+  createDirective,
+  loadNginxConfig,
+  walkDirectives,
+  findDirectives,
+  matchesInclude,
+  includePatterns,
+  serverBlocks,
+  serversClaiming,
+};
@@ -0,0 +1,161 @@
+const { execSync } = require("child_process");
+const fs = require("fs");
+const chalk = require("chalk");
+const { getLayout } = require("./layout.helper");
+
+const EXCERPT_LINES = 2;
+
+/**
+ * Runs `nginx -t` and returns its combined output instead of throwing, so the
+ * caller can decide whether to roll back.
+ */
+function testNginxConfig(runner) {
+  // With --nginx-root, the configuration there is tested rather than the system one
+  const layout = getLayout();
+  const config = layout.custom ? ` -c ${layout.confPath}` : "";
+  try {
+    const output = runner.run(`sudo nginx -t${config} 2>&1`, {
+      stdio: "pipe",
+      encoding: "utf8",
+    });
+    return { ok: true, output: String(output || "").trim() };
+  } catch (error) {
+    const output = [error.stdout, error.stderr]
+      .filter(Boolean)
+      .map(String)
+      .join("\n")
+      .trim();
+    return { ok: false, output: output || error.message };
+  }
+}
+
+function reloadNginx(runner) {
+  // reload-or-restart also brings up an nginx that is not running yet
+  runner.run("sudo systemctl reload-or-restart nginx");
+}
+
+function isNginxActive() {
+  try {
+    execSync("systemctl is-active --quiet nginx", { stdio: "ignore" });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Makes sure an nginx that was running when we started is running again when
+ * the process ends, whether it finishes, fails or is interrupted with Ctrl-C.
+ */
+function keepNginxRunning(runner) {
+  if (runner.dryRun || !isNginxActive()) return;
+
+  let checked = false;
+  const ensureRunning = () => {
+    if (checked) return;
+    checked = true;
+    if (isNginxActive()) return;
+
+    console.log(chalk.yellow("🔄 Nginx is not running - starting it again..."));
+    try {
+      execSync("sudo systemctl start nginx", { stdio: "inherit" });
+    } catch (error) {
+      console.error(chalk.red("❌ Failed to start nginx:"), error.message);
+      console.log(chalk.gray("   Check: sudo systemctl status nginx"));
+    }
+  };
+
+  process.on("exit", ensureRunning);
+  process.once("SIGINT", () => {
+    ensureRunning();
+    process.exit(130);
+  });
+  process.once("SIGTERM", () => {
+    ensureRunning();
+    process.exit(143);
+  });
+}
+
+/**
+ * Tests the configuration after a change and reloads nginx when it passes.
+ * When the test fails, everything backed up in the transaction is restored and
+ * false is returned.
+ */
+async function testAndReload(options, runner, transaction) {
+  console.log(chalk.yellow("🧪 Testing Nginx configuration..."));
+  const configTest = testNginxConfig(runner);
+  if (!configTest.ok) {
+    console.error(chalk.red("❌ Nginx configuration test failed"));
+    printNginxError(configTest.output);
+    console.log(chalk.yellow("\n↩️  Restoring previous configuration..."));
+    try {
+      await transaction.rollback();
+      console.log(chalk.green("✅ Previous configuration restored"));
+    } catch (rollbackError) {
+      console.error(chalk.red("❌ Failed to restore:"), rollbackError.message);
+    }
+    return false;
+  }
+  if (!runner.dryRun) {
+    console.log(chalk.green("✅ Nginx configuration test passed"));
+  }
+
+  if (options.reload) {
+    console.log(chalk.yellow("🔄 Reloading Nginx..."));
+    reloadNginx(runner);
+    if (!runner.dryRun) {
+      console.log(chalk.green("✅ Nginx reloaded"));
+    }
+  } else {
+    console.log(chalk.gray("⏭️  Skipping Nginx reload (--no-reload)"));
+  }
+  return true;
+}
+
+// Finds "in /path/to/file:12" references in nginx's error output
+function findErrorLocations(output) {
+  const locations = [];
+  const regex = /in (\/\S+):(\d+)/g;
+  let match;
+  while ((match = regex.exec(output)) !== null) {
+    locations.push({ file: match[1], line: Number(match[2]) });
+  }
+  return locations;
+}
+
+function printNginxError(output) {
+  console.log(chalk.red("   nginx -t output:"));
+  for (const line of output.split("\n")) {
+    console.log(chalk.gray(`   ${line}`));
+  }
+
+  for (const location of findErrorLocations(output)) {
+    let lines;
+    try {
+      lines = fs.readFileSync(location.file, "utf8").split("\n");
+    } catch (error) {
+      continue;
+    }
+
+    console.log(chalk.red(`\n   ${location.file}:${location.line}`));
+    const start = Math.max(1, location.line - EXCERPT_LINES);
+    const end = Math.min(lines.length, location.line + EXCERPT_LINES);
+    for (let number = start; number <= end; number++) {
+      const text = `${String(number).padStart(5)} | ${lines[number - 1]}`;
+      console.log(
+        number === location.line
+          ? chalk.red(`>${text}`)
+          : chalk.gray(` ${text}`),
+      );
+    }
+  }
+}
+
+module.exports = {
+  testNginxConfig,
+  reloadNginx,
+  isNginxActive,
+  keepNginxRunning,
+  testAndReload,
+  printNginxError,
+};
@@ -0,0 +1,77 @@
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { getLayout } = require("./layout.helper");
+const { findDirectives } = require("./nginx-config.helper");
+
+// Debian/Ubuntu package default; RHEL-family packages set "user nginx;"
+const DEFAULT_NGINX_USER = "www-data";
+
+// The user nginx worker processes run as, from the "user" directive
+function getNginxUser() {
+  const { config } = getLayout();
+  const user = config
+    ? findDirectives(config, "user").find(({ parents }) => !parents.length)
+    : null;
+  return user && user.node.args[0] ? user.node.args[0] : DEFAULT_NGINX_USER;
+}
+
+// uid and group ids of a user, or null when the user does not exist here
+function lookupUser(user) {
+  try {
+    const uid = Number(execFileSync("id", ["-u", user], { stdio: "pipe" }));
+    const gids = String(execFileSync("id", ["-G", user], { stdio: "pipe" }))
+      .trim()
+      .split(/\s+/)
+      .map(Number);
+    return { uid, gids };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Whether `identity` has the read (4) or execute (1) permission bit on a file
+function hasPermission(stats, identity, bit) {
+  if (identity.uid === 0) return true;
+  if (identity.uid === stats.uid) return Boolean((stats.mode >> 6) & bit);
+  if (identity.gids.includes(stats.gid))
+    return Boolean((stats.mode >> 3) & bit);
+  return Boolean(stats.mode & bit);
+}
+
+/**
+ * Returns the first path that stops `user` from listing and reading
+ * `directory`: every parent needs execute permission and the directory itself
+ * read and execute. Null when nginx can serve from it. Unknown users are
+ * treated as "everyone else".
+ */
+function findUnreadablePath(directory, user) {
+  const identity = lookupUser(user) || { uid: -1, gids: [] };
+  const resolved = path.resolve(directory);
+
+  const parents = [];
+  for (
+    let current = path.dirname(resolved);
+    current !== path.dirname(current);
+    current = path.dirname(current)
+  ) {
+    parents.unshift(current);
+  }
+
+  for (const parent of parents) {
+    if (!hasPermission(fs.statSync(parent), identity, 1)) return parent;
+  }
+  const stats = fs.statSync(resolved);
+  if (
+    !hasPermission(stats, identity, 4) ||
+    !hasPermission(stats, identity, 1)
+  ) {
+    return resolved;
+  }
+  return null;
+}
+
+module.exports = {
+  getNginxUser,
+  findUnreadablePath,
+};
@@ -0,0 +1,172 @@
+const { parseList } = require("./list.helper");
+
+const ROUTE_FLAGS = ["websocket", "strip"];
+// Per-route overrides of --rate-limit, --burst and --conn-limit
+const ROUTE_LIMITS = ["rate", "burst", "conn"];
+
+// "4000" means a service on this machine
+function routeAddress(target) {
+  return /^\d+$/.test(target) ? `127.0.0.1:${target}` : target;
+}
+
+/**
+ * The allow and deny keys of a sites file entry as [{ action, rule }], in the
+ * order they are written: nginx applies the first rule that matches.
+ */
+function accessRules(entry) {
+  return Object.keys(entry)
+    .filter((key) => key === "allow" || key === "deny")
+    .flatMap((action) =>
+      parseList(entry[action]).map((rule) => ({ action, rule })),
+    );
+}
+
+// Splits on the ":" that are not inside [...], which hold IPv6 addresses
+function splitRoute(text) {
+  const parts = [""];
+  let bracketed = false;
+  for (const char of text) {
+    if (char === ":" && !bracketed) {
+      parts.push("");
+      continue;
+    }
+    if (char === "[") bracketed = true;
+    if (char === "]") bracketed = false;
+    parts[parts.length - 1] += char;
+  }
+  return parts;
+}
+
+// IPv6 rules are bracketed like IPv6 targets: "allow=[2001:db8::/32]"
+function unbracket(value) {
+  return /^\[.*\]$/.test(value) ? value.slice(1, -1) : value;
+}
+
+/**
+ * The "--route" string of a parsed route, which parses back to the same route:
+ * "/admin=127.0.0.1:4000:auth=admin:allow=[2001:db8::/32]:deny=all"
+ */
+function formatRoute({ path, address, flags, limits, access }) {
+  return [
+    `${path}=${address}`,
+    ...flags,
+    ...Object.entries(limits).map(([key, value]) => `${key}=${value}`),
+    ...(access.basicAuth ? [`auth=${access.basicAuth}`] : []),
+    ...access.rules.map(
+      ({ action, rule }) =>
+        `${action}=${rule.includes(":") ? `[${rule}]` : rule}`,
+    ),
+  ].join(":");
+}
+
+function parseRouteString(entry) {
+  const separator = entry.indexOf("=");
+  if (separator === -1) {
+    return {
+      source: entry,
+      path: entry,
+      address: "",
+      flags: [],
+      limits: {},
+      access: { rules: [] },
+    };
+  }
+
+  const path = entry.slice(0, separator).trim();
+  const parts = splitRoute(entry.slice(separator + 1).trim());
+  // Trailing words are flags, limits or access rules:
+  // "5000:websocket", "4000:strip:rate=5r/s", "4000:auth=admin:allow=10.0.0.0/8"
+  const options = [];
+  while (parts.length > 1 && /^[a-z]+(=.+)?$/.test(parts[parts.length - 1])) {
+    options.unshift(parts.pop());
+  }
+  const flags = [];
+  const limits = {};
+  const access = { rules: [] };
+  for (const option of options) {
+    const [key, value] = option.split(/=(.*)/);
+    if (value === undefined) {
+      flags.push(key);
+    } else if (key === "allow" || key === "deny") {
+      access.rules.push({ action: key, rule: unbracket(value) });
+    } else if (key === "auth") {
+      access.basicAuth = value;
+    } else {
+      limits[key] = value;
+    }
+  }
+
+  return {
+    source: entry,
+    path,
+    address: routeAddress(parts.join(":")),
+    flags,
+    limits,
+    access,
+  };
+}
+
+/**
+ * Sites files may also spell a route out:
+ * { path, target, websocket, strip, rateLimit, burst, connLimit,
+ *   basicAuth, allow, deny }
+ */
+function parseRouteObject(entry) {
+  const flags = ROUTE_FLAGS.filter((flag) => entry[flag]);
+  const target = String(entry.target ?? entry.port ?? "");
+  const limits = {};
+  for (const [key, option] of [
+    ["rate", "rateLimit"],
+    ["burst", "burst"],
+    ["conn", "connLimit"],
+  ]) {
+    if (entry[option] !== undefined) limits[key] = String(entry[option]);
+  }
+  const route = {
+    path: String(entry.path || ""),
+    address: routeAddress(target),
+    flags,
+    limits,
+    access: { basicAuth: entry.basicAuth, rules: accessRules(entry) },
+  };
+  return {
+    ...route,
+    source: formatRoute({ ...route, address: target }),
+  };
+}
+
+/**
+ * Turns "--route /api=4000 --route /ws=5000:websocket" values (or the routes
+ * list of a sites file) into { path, address, websocket, strip, limits, access }
+ * entries, most specific path first.
+ */
+function parseRoutes(value) {
+  const entries = Array.isArray(value) ? value : value ? [value] : [];
+
+  return entries
+    .map((entry) =>
+      entry && typeof entry === "object"
+        ? parseRouteObject(entry)
+        : parseRouteString(String(entry).trim()),
+    )
+    .map((route) => ({
+      ...route,
+      websocket: route.flags.includes("websocket"),
+      strip: route.flags.includes("strip"),
+    }))
+    .sort((a, b) => b.path.length - a.path.length);
+}
+
+// Location prefixes always end in "/" so /api does not also match /apis
+function routePrefix(route) {
+  return route.path.endsWith("/") ? route.path : `${route.path}/`;
+}
+
+module.exports = {
+  ROUTE_FLAGS,
+  accessRules,
+  ROUTE_LIMITS,
+  formatRoute,
+  parseRoutes,
+  routePrefix,
+};
@@ -0,0 +1,74 @@
+const SECURITY_PROFILES = ["off", "standard", "strict"];
+
+const STRICT_CSP =
+  "default-src 'self'; base-uri 'self'; form-action 'self'; frame-ancestors 'none'; object-src 'none'";
+
+const PROFILES = {
+  standard: {
+    hsts: "max-age=31536000",
+    frameOptions: "SAMEORIGIN",
+    referrerPolicy: "strict-origin-when-cross-origin",
+    permissionsPolicy: "camera=(), microphone=(), geolocation=()",
+    contentSecurityPolicy: null,
+    crossOriginOpenerPolicy: null,
+    tlsProtocols: "TLSv1.2 TLSv1.3",
+  },
+  strict: {
+    hsts: "max-age=63072000; includeSubDomains",
+    frameOptions: "DENY",
+    referrerPolicy: "no-referrer",
+    permissionsPolicy:
+      "accelerometer=(), camera=(), geolocation=(), gyroscope=(), magnetometer=(), microphone=(), payment=(), usb=()",
+    contentSecurityPolicy: STRICT_CSP,
+    crossOriginOpenerPolicy: "same-origin",
+    tlsProtocols: "TLSv1.3",
+  },
+};
+
+// The profile for --security, "standard" when none is given; null for "off"
+function getSecurityProfile(options) {
+  return PROFILES[options.security || "standard"] || null;
+}
+
+/**
+ * The [name, value] response headers a site's profile adds. HSTS is only sent
+ * over HTTPS, and preload (which browsers remember for years) is opt-in and
+ * needs includeSubDomains with a two year max-age.
+ */
+function securityHeaderList(options) {
+  const profile = getSecurityProfile(options);
+  if (!profile) return [];
+
+  const headers = [];
+  if (options.certificate) {
+    headers.push([
+      "Strict-Transport-Security",
+      options.hstsPreload
+        ? "max-age=63072000; includeSubDomains; preload"
+        : profile.hsts,
+    ]);
+  }
+  headers.push(
+    ["X-Content-Type-Options", "nosniff"],
+    ["X-Frame-Options", profile.frameOptions],
+    ["Referrer-Policy", profile.referrerPolicy],
+    ["Permissions-Policy", profile.permissionsPolicy],
+  );
+  const csp = options.csp || profile.contentSecurityPolicy;
+  if (csp) {
+    headers.push(["Content-Security-Policy", csp]);
+  }
+  if (profile.crossOriginOpenerPolicy) {
+    headers.push([
+      "Cross-Origin-Opener-Policy",
+      profile.crossOriginOpenerPolicy,
+    ]);
+  }
+  return headers;
+}
+
+module.exports = {
+  SECURITY_PROFILES,
+  getSecurityProfile,
+  securityHeaderList,
+};
@@ -0,0 +1,133 @@
+const fs = require("fs");
+const path = require("path");
+const { MANAGED_HEADER } = require("../templates/snippets");
+const { getLayout } = require("./layout.helper");
+const { readFileIfExists } = require("./file.helper");
+const { parseNginxConfig, findDirectives } = require("./nginx-config.helper");
+
+// sitesAvailable is the config, sitesEnabled the link that loads it; per-site
+// limit zones go to conf.d, which nginx.conf includes at http level
+function getSitePaths(domain) {
+  const layout = getLayout();
+  return {
+    sitesAvailable: path.join(layout.availableDir, layout.siteFile(domain)),
+    sitesEnabled: path.join(layout.enabledDir, layout.siteFile(domain)),
+    zones: path.join(layout.confDir, `fast-nginx-${domain}.conf`),
+  };
+}
+
+// Reads the "# Key: value" lines fast-nginx writes at the top of every config
+function parseConfigHeader(content) {
+  const lines = content.split("\n");
+  if (!lines[0].startsWith(MANAGED_HEADER)) {
+    return null;
+  }
+
+  const header = {
+    domain: lines[0]
+      .slice(MANAGED_HEADER.length)
+      .replace(/^ for /, "")
+      .trim(),
+  };
+  for (const line of lines.slice(1)) {
+    const match = /^#\s*([^:]+):\s*(.*)$/.exec(line);
+    if (!match) break;
+    header[match[1].trim()] = match[2].trim();
+  }
+  return header;
+}
+
+function isEnabled(filePath) {
+  const { enabledDir } = getLayout();
+  if (!fs.existsSync(enabledDir)) return false;
+
+  const realPath = fs.realpathSync(filePath);
+  return fs.readdirSync(enabledDir).some((entry) => {
+    try {
+      return fs.realpathSync(path.join(enabledDir, entry)) === realPath;
+    } catch (error) {
+      // Dangling link
+      return false;
+    }
+  });
+}
+
+function readManagedSite(filePath) {
+  const content = readFileIfExists(filePath);
+  const header = content === null ? null : parseConfigHeader(content);
+  if (!header) return null;
+
+  // A hand-edited config that no longer parses is still listed, just without
+  // the port and certificate its directives would tell
+  let config = null;
+  try {
+    config = parseNginxConfig(content, filePath);
+  } catch (error) {
+    // Fall through with config null
+  }
+  const firstArgument = (name) => {
+    const found = config ? findDirectives(config, name) : [];
+    return found.length > 0 ? found[0].node.args[0] : null;
+  };
+
+  const upstream = header.Upstream || null;
+  const root = header.Root || null;
+  // Static sites only proxy their routes, which are not "the" port
+  let portMatch = null;
+  if (upstream) {
+    portMatch = /:(\d+)$/.exec(upstream.split(",")[0]);
+  } else if (!root) {
+    portMatch = /^https?:\/\/[^:/]+:(\d+)/.exec(firstArgument("proxy_pass"));
+  }
+  const certificate = firstArgument("ssl_certificate");
+
+  return {
+    domain: header.domain,
+    file: filePath,
+    template: header.Template || null,
+    upstream,
+    root,
+    port: portMatch ? Number(portMatch[1]) : null,
+    enabled: isEnabled(filePath),
+    certificate,
+    generatedAt: header["Generated on"] || null,
+    content,
+  };
+}
+
+// Every config in the layout's sites directory that carries the fast-nginx header
+function readManagedSites() {
+  const { availableDir } = getLayout();
+  if (!fs.existsSync(availableDir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(availableDir)
+    .map((entry) => path.join(availableDir, entry))
+    .filter((filePath) => {
+      try {
+        return fs.statSync(filePath).isFile();
+      } catch (error) {
+        // A dangling link, or a file removed since the listing
+        return false;
+      }
+    })
+    .map(readManagedSite)
+    .filter(Boolean)
+    .sort((a, b) => a.domain.localeCompare(b.domain));
+}
+
+// Compares two configs, ignoring the generation timestamp in the header
+function isSameConfig(a, b) {
+  const strip = (content) => content.replace(/^# Generated on: .*$/m, "");
+  return a !== null && b !== null && strip(a) === strip(b);
+}
+
+module.exports = {
+  getSitePaths,
+  isSameConfig,
+  parseConfigHeader,
+  readManagedSite,
+  readManagedSites,
+};
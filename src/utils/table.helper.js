@@ -0,0 +1,35 @@
+const chalk = require("chalk");
+
+// Prints rows of { COLUMN: value } objects as aligned columns
+function printTable(rows) {
+  const columns = Object.keys(rows[0]);
+  // chalk codes do not take up space on screen
+  const visible = (value) => value.replace(/\u001b\[\d+m/g, "");
+  const widths = columns.map((column) =>
+    Math.max(column.length, ...rows.map((row) => visible(row[column]).length)),
+  );
+
+  console.log(
+    chalk.bold(
+      columns
+        .map((column, index) => column.padEnd(widths[index]))
+        .join("  ")
+        .trimEnd(),
+    ),
+  );
+  for (const row of rows) {
+    console.log(
+      columns
+        .map((column, index) => {
+          const value = row[column];
+          return value + " ".repeat(widths[index] - visible(value).length);
+        })
+        .join("  ")
+        .trimEnd(),
+    );
+  }
+}
+
+module.exports = {
+  printTable,
+};
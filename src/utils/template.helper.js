@@ -0,0 +1,156 @@
+const TAG_REGEX =
+  /{{\s*([#/]?)\s*([a-zA-Z_][\w]*)?(?:\s+([a-zA-Z_][\w]*))?\s*}}/g;
+const BLOCK_KEYWORDS = ["if", "unless"];
+
+function lineAt(source, index) {
+  return source.slice(0, index).split("\n").length;
+}
+
+function pushText(target, source, start, end) {
+  const value = source.slice(start, end);
+  const stray = value.indexOf("{{");
+  if (stray !== -1) {
+    throw new Error(
+      `Invalid placeholder on line ${lineAt(source, start + stray)}`,
+    );
+  }
+  target.push({ type: "text", value });
+}
+
+// Turns "{{name}}", "{{#if name}}", "{{else}}" and "{{/if}}" tags into a tree
+function parseTemplate(source) {
+  const root = { type: "root", children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  TAG_REGEX.lastIndex = 0;
+  while ((match = TAG_REGEX.exec(source)) !== null) {
+    const [tag, sigil, keyword, argument] = match;
+    const line = lineAt(source, match.index);
+    const current = stack[stack.length - 1];
+    const target = current.inElse ? current.alternate : current.children;
+
+    if (match.index > lastIndex) {
+      pushText(target, source, lastIndex, match.index);
+    }
+    lastIndex = match.index + tag.length;
+
+    if (sigil === "#") {
+      if (!BLOCK_KEYWORDS.includes(keyword) || !argument) {
+        throw new Error(
+          `Invalid block "${tag}" on line ${line} (use {{#if name}} or {{#unless name}})`,
+        );
+      }
+      const block = {
+        type: keyword,
+        name: argument,
+        line,
+        children: [],
+        alternate: [],
+        inElse: false,
+      };
+      target.push(block);
+      stack.push(block);
+    } else if (sigil === "/") {
+      if (current === root || current.type !== keyword) {
+        throw new Error(`Unexpected "${tag}" on line ${line}`);
+      }
+      stack.pop();
+    } else if (keyword === "else" && !argument) {
+      if (current === root || current.inElse) {
+        throw new Error(`Unexpected "${tag}" on line ${line}`);
+      }
+      current.inElse = true;
+    } else if (keyword && !argument) {
+      target.push({ type: "variable", name: keyword, line });
+    } else {
+      throw new Error(`Invalid placeholder "${tag}" on line ${line}`);
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new Error(
+      `Unclosed "{{#${open.type} ${open.name}}}" block opened on line ${open.line}`,
+    );
+  }
+
+  if (lastIndex < source.length) {
+    pushText(root.children, source, lastIndex, source.length);
+  }
+
+  return root;
+}
+
+function collectReferences(nodes, references = []) {
+  for (const node of nodes) {
+    if (node.type === "text") continue;
+    references.push({ name: node.name, line: node.line });
+    if (node.children) {
+      collectReferences(node.children, references);
+      collectReferences(node.alternate, references);
+    }
+  }
+  return references;
+}
+
+function renderNodes(nodes, variables, missing) {
+  let output = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      output += node.value;
+    } else if (node.type === "variable") {
+      const value = variables[node.name];
+      if (value === undefined || value === null) {
+        missing.push(node);
+      } else {
+        output += String(value);
+      }
+    } else {
+      const truthy = Boolean(variables[node.name]);
+      const branch =
+        truthy === (node.type === "if") ? node.children : node.alternate;
+      output += renderNodes(branch, variables, missing);
+    }
+  }
+  return output;
+}
+
+/**
+ * Renders a "{{placeholder}}" template. Every referenced name must be a key of
+ * `variables`; a key whose value is undefined can only be used inside a
+ * conditional block that is not rendered.
+ */
+function interpolate(source, variables) {
+  const tree = parseTemplate(source);
+  const known = Object.keys(variables);
+
+  const unknown = collectReferences(tree.children).filter(
+    (reference) => !known.includes(reference.name),
+  );
+  if (unknown.length > 0) {
+    const details = unknown
+      .map((reference) => `"${reference.name}" (line ${reference.line})`)
+      .join(", ");
+    throw new Error(
+      `Unknown template variable(s): ${details}. Available variables: ${known.join(", ")}`,
+    );
+  }
+
+  const missing = [];
+  const output = renderNodes(tree.children, variables, missing);
+  if (missing.length > 0) {
+    const details = missing
+      .map((reference) => `"${reference.name}" (line ${reference.line})`)
+      .join(", ");
+    throw new Error(`Missing value for template variable(s): ${details}`);
+  }
+
+  return output;
+}
+
+module.exports = {
+  parseTemplate,
+  interpolate,
+};
@@ -0,0 +1,73 @@
+const fs = require("fs");
+const { readFileAsRoot } = require("./file.helper");
+
+function snapshot(filePath) {
+  let stats;
+  try {
+    stats = fs.lstatSync(filePath);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { path: filePath, type: "missing" };
+    }
+    throw error;
+  }
+
+  if (stats.isSymbolicLink()) {
+    return { path: filePath, type: "link", target: fs.readlinkSync(filePath) };
+  }
+  // Kept as a Buffer so the restore is byte-for-byte; private keys are root-only
+  return {
+    path: filePath,
+    type: "file",
+    content: readFileAsRoot(filePath, null),
+  };
+}
+
+/**
+ * Records the state of files before they are changed so a failed apply can put
+ * them back exactly as they were. Restores go through the action runner, so
+ * they are planned rather than executed during a dry run.
+ */
+function createTransaction(runner) {
+  const backups = [];
+
+  return {
+    backup(filePath) {
+      if (backups.some((entry) => entry.path === filePath)) return;
+      backups.push(snapshot(filePath));
+    },
+
+    async rollback() {
+      const failures = [];
+      // Undo in the opposite order the files were backed up
+      for (const entry of [...backups].reverse()) {
+        try {
+          if (entry.type === "missing") {
+            await runner.remove(entry.path);
+          } else if (entry.type === "link") {
+            await runner.link(entry.target, entry.path);
+          } else {
+            // A symlink written in its place must go first, tee would follow it
+            if (
+              fs.existsSync(entry.path) &&
+              fs.lstatSync(entry.path).isSymbolicLink()
+            ) {
+              await runner.remove(entry.path);
+            }
+            await runner.writeFile(entry.path, entry.content);
+          }
+        } catch (error) {
+          failures.push(`${entry.path}: ${error.message}`);
+        }
+      }
+
+      if (failures.length > 0) {
+        throw new Error(`Rollback incomplete - ${failures.join("; ")}`);
+      }
+    },
+  };
+}
+
+module.exports = {
+  createTransaction,
+};
@@ -0,0 +1,48 @@
+const BALANCE_METHODS = ["round-robin", "least_conn", "ip_hash"];
+
+/**
+ * Splits "--upstream" values such as
+ * "127.0.0.1:3000 weight=3,10.0.0.5:3000 backup" (or the same entries as an
+ * array in a sites file) into { address, params, flags } entries.
+ */
+function parseUpstreamList(value) {
+  const entries = Array.isArray(value) ? value : String(value || "").split(",");
+
+  return entries
+    .map((entry) => String(entry).trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [address, ...rest] = entry.split(/\s+/);
+      const params = {};
+      const flags = [];
+      for (const token of rest) {
+        const [key, paramValue] = token.split("=");
+        if (paramValue === undefined) {
+          flags.push(key);
+        } else {
+          params[key] = paramValue;
+        }
+      }
+      return { source: entry, address, params, flags };
+    });
+}
+
+/**
+ * A name-safe form of a domain for nginx identifiers: "." becomes "_" and "-"
+ * becomes "__". Labels never start or end with "-", so two domains never map
+ * to the same identifier.
+ */
+function domainIdentifier(domain) {
+  return domain.replace(/-/g, "__").replace(/\./g, "_");
+}
+
+function upstreamName(domain) {
+  return `fastnginx_${domainIdentifier(domain)}`;
+}
+
+module.exports = {
+  BALANCE_METHODS,
+  parseUpstreamList,
+  domainIdentifier,
+  upstreamName,
+};
@@ -0,0 +1,153 @@
+const dns = require("dns");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const os = require("os");
+const tls = require("tls");
+const { localCaPaths } = require("./local-ca.helper");
+
+const VERIFY_TIMEOUT_MS = 5000;
+const MAX_REDIRECTS = 5;
+
+// The public roots plus the local CA, so self-signed sites verify too
+function trustedCertificates() {
+  const certificates = [...tls.rootCertificates];
+  try {
+    certificates.push(fs.readFileSync(localCaPaths().certificate, "utf8"));
+  } catch (error) {
+    // No local CA yet
+  }
+  return certificates;
+}
+
+// The addresses the domain resolves to here, and whether one of them is this machine's
+async function resolveDomain(domain) {
+  const addresses = (await dns.promises.lookup(domain, { all: true })).map(
+    (entry) => entry.address,
+  );
+  const local = Object.values(os.networkInterfaces())
+    .flat()
+    .map((entry) => entry.address);
+  return {
+    addresses,
+    local: addresses.some(
+      (address) => local.includes(address) || /^127\./.test(address),
+    ),
+  };
+}
+
+/**
+ * GETs the URL from nginx at `address` instead of wherever the URL's host
+ * resolves to, with that host as Host header and TLS server name. Resolves
+ * { url, status, statusText, headers, latency } plus, over HTTPS, the peer
+ * certificate (crypto.X509Certificate) and whether it is trusted.
+ */
+function requestFrom(address, url, timeout = VERIFY_TIMEOUT_MS) {
+  const target = new URL(url);
+  const secure = target.protocol === "https:";
+  return new Promise((resolve, reject) => {
+    const start = process.hrtime.bigint();
+    const request = (secure ? https : http).request(
+      {
+        host: address,
+        port: target.port || (secure ? 443 : 80),
+        path: `${target.pathname}${target.search}`,
+        headers: { Host: target.host, "User-Agent": "fast-nginx verify" },
+        agent: false,
+        timeout,
+        ...(secure
+          ? {
+              servername: target.hostname,
+              ca: trustedCertificates(),
+              // Trust is reported, not enforced, so the rest can be checked
+              rejectUnauthorized: false,
+            }
+          : {}),
+      },
+      (response) => {
+        const { socket } = response;
+        const result = {
+          url,
+          status: response.statusCode,
+          statusText: response.statusMessage,
+          headers: response.headers,
+          latency: Math.round(Number(process.hrtime.bigint() - start) / 1e6),
+          ...(secure
+            ? {
+                certificate: socket.getPeerX509Certificate() || null,
+                authorized: socket.authorized,
+                authorizationError: socket.authorizationError || null,
+              }
+            : {}),
+        };
+        // Only the status and headers matter
+        response.resume();
+        response.once("end", () => resolve(result));
+      },
+    );
+    request.once("timeout", () => {
+      request.destroy(new Error(`no response within ${timeout}ms`));
+    });
+    request.once("error", (error) =>
+      reject(new Error(error.code || error.message)),
+    );
+    request.end();
+  });
+}
+
+/**
+ * Requests the URL and follows redirects among the site's own names (the only
+ * ones the local nginx answers for). Resolves { hops, final, stop, broken }:
+ * every response in order, the last one, why following stopped early if it
+ * did, and whether that is because no browser would get anywhere either.
+ */
+async function followRedirects(address, url, names) {
+  const hops = [];
+  let current = url;
+  while (hops.length <= MAX_REDIRECTS) {
+    const response = await requestFrom(address, current);
+    hops.push(response);
+    if (
+      response.status < 300 ||
+      response.status >= 400 ||
+      !response.headers.location
+    ) {
+      return { hops, final: response, stop: null, broken: false };
+    }
+    const next = new URL(response.headers.location, current);
+    if (!names.includes(next.hostname.toLowerCase())) {
+      return {
+        hops,
+        final: response,
+        stop: `leaves for ${next.host}`,
+        broken: false,
+      };
+    }
+    if (hops.some((hop) => hop.url === next.href)) {
+      return {
+        hops,
+        final: response,
+        stop: `loops back to ${next.href}`,
+        broken: true,
+      };
+    }
+    current = next.href;
+  }
+  return {
+    hops,
+    final: hops[hops.length - 1],
+    stop: `more than ${MAX_REDIRECTS} redirects`,
+    broken: true,
+  };
+}
+
+// "http://a.com/ 301 → https://a.com/ 200"
+function formatHops(hops) {
+  return hops.map((hop) => `${hop.url} ${hop.status}`).join(" → ");
+}
+
+module.exports = {
+  resolveDomain,
+  followRedirects,
+  formatHops,
+};
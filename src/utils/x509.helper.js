@@ -0,0 +1,188 @@
+const crypto = require("crypto");
+
+/**
+ * Just enough DER to build X.509 certificates for the local CA: Node can parse
+ * certificates (crypto.X509Certificate) but not create them, and shelling out
+ * to openssl would tie the result to its version and config file.
+ */
+
+const OIDS = {
+  commonName: "2.5.4.3",
+  organizationName: "2.5.4.10",
+  ecdsaWithSha256: "1.2.840.10045.4.3.2",
+  subjectKeyIdentifier: "2.5.29.14",
+  keyUsage: "2.5.29.15",
+  subjectAltName: "2.5.29.17",
+  basicConstraints: "2.5.29.19",
+  authorityKeyIdentifier: "2.5.29.35",
+  extKeyUsage: "2.5.29.37",
+  serverAuth: "1.3.6.1.5.5.7.3.1",
+};
+
+function encodeLength(length) {
+  if (length < 0x80) return Buffer.from([length]);
+  const bytes = [];
+  for (let rest = length; rest > 0; rest >>= 8) bytes.unshift(rest & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function tlv(tag, ...contents) {
+  const content = Buffer.concat(contents);
+  return Buffer.concat([
+    Buffer.from([tag]),
+    encodeLength(content.length),
+    content,
+  ]);
+}
+
+const sequence = (...items) => tlv(0x30, ...items);
+const set = (...items) => tlv(0x31, ...items);
+const octetString = (buffer) => tlv(0x04, buffer);
+const bitString = (buffer, unusedBits = 0) =>
+  tlv(0x03, Buffer.from([unusedBits]), buffer);
+const explicit = (number, content) => tlv(0xa0 | number, content);
+const TRUE = tlv(0x01, Buffer.from([0xff]));
+
+// A positive INTEGER from big-endian bytes
+function integer(bytes) {
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) start++;
+  const value = bytes.subarray(start);
+  return tlv(
+    0x02,
+    value[0] & 0x80 ? Buffer.concat([Buffer.from([0]), value]) : value,
+  );
+}
+
+function objectIdentifier(oid) {
+  const [first, second, ...rest] = oid.split(".").map(Number);
+  const bytes = [first * 40 + second];
+  for (const arc of rest) {
+    const groups = [arc & 0x7f];
+    for (let value = arc >> 7; value > 0; value >>= 7) {
+      groups.unshift((value & 0x7f) | 0x80);
+    }
+    bytes.push(...groups);
+  }
+  return tlv(0x06, Buffer.from(bytes));
+}
+
+// UTCTime until 2049, GeneralizedTime after, as RFC 5280 requires
+function time(date) {
+  const iso = date.toISOString().replace(/[-:T]|\.\d+/g, "");
+  return date.getUTCFullYear() < 2050
+    ? tlv(0x17, Buffer.from(iso.slice(2)))
+    : tlv(0x18, Buffer.from(iso));
+}
+
+// { organizationName, commonName } as a distinguished name
+function distinguishedName(name) {
+  return sequence(
+    ...["organizationName", "commonName"]
+      .filter((field) => name[field])
+      .map((field) =>
+        set(
+          sequence(
+            objectIdentifier(OIDS[field]),
+            tlv(0x0c, Buffer.from(name[field], "utf8")),
+          ),
+        ),
+      ),
+  );
+}
+
+function extension(oid, value, critical = false) {
+  return sequence(
+    objectIdentifier(oid),
+    ...(critical ? [TRUE] : []),
+    octetString(value),
+  );
+}
+
+function keyIdentifier(publicKey) {
+  return crypto
+    .createHash("sha1")
+    .update(publicKey.export({ type: "spki", format: "der" }))
+    .digest();
+}
+
+// A random 128-bit serial number, kept positive
+function serialNumber() {
+  const bytes = crypto.randomBytes(16);
+  bytes[0] = (bytes[0] & 0x7f) | 0x01;
+  return bytes;
+}
+
+function toPem(der) {
+  const lines = der.toString("base64").match(/.{1,64}/g);
+  return `-----BEGIN CERTIFICATE-----\n${lines.join("\n")}\n-----END CERTIFICATE-----\n`;
+}
+
+/**
+ * Creates a PEM certificate for publicKey, signed with issuerKey (an EC key).
+ * A CA certificate may sign others; any other certificate is a TLS server
+ * certificate for its dnsNames. Self-signed when no issuer is given.
+ */
+function createCertificate({
+  subject,
+  publicKey,
+  issuer = subject,
+  issuerKey,
+  issuerPublicKey = publicKey,
+  notBefore,
+  notAfter,
+  ca = false,
+  dnsNames = [],
+}) {
+  const algorithm = sequence(objectIdentifier(OIDS.ecdsaWithSha256));
+  const extensions = ca
+    ? [
+        extension(OIDS.basicConstraints, sequence(TRUE), true),
+        // keyCertSign and cRLSign
+        extension(OIDS.keyUsage, bitString(Buffer.from([0x06]), 1), true),
+      ]
+    : [
+        extension(OIDS.basicConstraints, sequence(), true),
+        // digitalSignature, all an ECDHE handshake needs
+        extension(OIDS.keyUsage, bitString(Buffer.from([0x80]), 7), true),
+        extension(
+          OIDS.extKeyUsage,
+          sequence(objectIdentifier(OIDS.serverAuth)),
+        ),
+        extension(
+          OIDS.subjectAltName,
+          sequence(...dnsNames.map((name) => tlv(0x82, Buffer.from(name)))),
+        ),
+      ];
+  extensions.push(
+    extension(OIDS.subjectKeyIdentifier, octetString(keyIdentifier(publicKey))),
+    extension(
+      OIDS.authorityKeyIdentifier,
+      sequence(tlv(0x80, keyIdentifier(issuerPublicKey))),
+    ),
+  );
+
+  const tbsCertificate = sequence(
+    explicit(0, integer(Buffer.from([2]))),
+    integer(serialNumber()),
+    algorithm,
+    distinguishedName(issuer),
+    sequence(time(notBefore), time(notAfter)),
+    distinguishedName(subject),
+    publicKey.export({ type: "spki", format: "der" }),
+    explicit(3, sequence(...extensions)),
+  );
+  const signature = crypto.sign("sha256", tbsCertificate, issuerKey);
+
+  return toPem(sequence(tbsCertificate, algorithm, bitString(signature)));
+}
+
+// A P-256 key pair, accepted by every TLS client that matters
+function generateKeyPair() {
+  return crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+}
+
+module.exports = {
+  createCertificate,
+  generateKeyPair,
+};
@@ -0,0 +1,10 @@
+const validateDomain = require("./domain.validator");
+
+// A server name: a domain, or a wildcard in its leftmost label such as *.myapp.com
+function validateAlias(name) {
+    const base = name.startsWith("*.") ? name.slice(2) : name;
+    if (name.startsWith("*.") && !base.includes(".")) return false;
+    return validateDomain(base);
+}
+
+module.exports = validateAlias;
@@ -0,0 +1,18 @@
+const net = require("net");
+
+// An allow/deny rule: "all", an IPv4/IPv6 address, or a CIDR block such as 10.0.0.0/8 or 2001:db8::/32
+function validateCidr(rule) {
+    if (rule === "all") return true;
+
+    const [address, prefix, ...rest] = String(rule).split("/");
+    if (rest.length > 0) return false;
+
+    const version = net.isIP(address);
+    if (version === 0) return false;
+    if (prefix === undefined) return true;
+
+    const maxPrefix = version === 4 ? 32 : 128;
+    return /^\d{1,3}$/.test(prefix) && Number(prefix) <= maxPrefix;
+}
+
+module.exports = validateCidr;
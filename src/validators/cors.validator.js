@@ -0,0 +1,13 @@
+const { validateHost } = require("./upstream.validator");
+
+// An exact browser origin: scheme://host[:port], no path or trailing slash
+function validateOrigin(origin) {
+    const match = /^https?:\/\/(\[[^\]/]*\]|[^/:[\]]+)(:(\d{1,5}))?$/.exec(origin);
+    if (!match) return false;
+
+    const [, host, , port] = match;
+    if (port && (Number(port) < 1 || Number(port) > 65535)) return false;
+    return validateHost(host);
+}
+
+module.exports = validateOrigin;
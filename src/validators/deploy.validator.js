@@ -0,0 +1,291 @@
+const { getSitePaths } = require("../utils/sites.helper");
+const { getLayout } = require("../utils/layout.helper");
+const { readFileIfExists } = require("../utils/file.helper");
+const {
+  parseNginxConfig,
+  serverBlocks,
+  serversClaiming,
+} = require("../utils/nginx-config.helper");
+const {
+  EXPIRY_WARNING_DAYS,
+  certificateInfo,
+  nameField,
+  uncoveredNames,
+} = require("../utils/certificate.helper");
+const {
+  resolveDomain,
+  followRedirects,
+  formatHops,
+} = require("../utils/verify.helper");
+
+// The response headers the security profiles add
+const SECURITY_HEADERS = [
+  "Strict-Transport-Security",
+  "X-Content-Type-Options",
+  "X-Frame-Options",
+  "Referrer-Policy",
+  "Permissions-Policy",
+  "Content-Security-Policy",
+  "Cross-Origin-Opener-Policy",
+];
+
+// The server blocks for the domain: its fast-nginx config, or whatever nginx loads
+function siteBlocks(domain) {
+  const { sitesAvailable } = getSitePaths(domain);
+  const content = readFileIfExists(sitesAvailable);
+  if (content !== null) {
+    try {
+      return serverBlocks(parseNginxConfig(content, sitesAvailable), "");
+    } catch (error) {
+      // Fall back to the loaded configuration
+    }
+  }
+  const { config } = getLayout();
+  return config ? serversClaiming(config, domain) : [];
+}
+
+function listensWithTls(block) {
+  return block.listens.some(
+    (args) => args.includes("ssl") || /(^|:)443$/.test(args[0]),
+  );
+}
+
+/**
+ * The security headers a server block sends for "/": nginx only inherits the
+ * server's add_header directives into a location that has none of its own.
+ */
+function expectedHeaders(block) {
+  const addHeaders = (node) =>
+    node.children.filter(
+      (child) => child.name === "add_header" && child.args.length >= 2,
+    );
+  const root = block.node.children.find(
+    (child) =>
+      child.name === "location" &&
+      child.args.length === 1 &&
+      child.args[0] === "/",
+  );
+  const directives =
+    root && addHeaders(root).length > 0
+      ? addHeaders(root)
+      : addHeaders(block.node);
+  return directives
+    .filter((directive) =>
+      SECURITY_HEADERS.some(
+        (name) => name.toLowerCase() === directive.args[0].toLowerCase(),
+      ),
+    )
+    .map((directive) => [directive.args[0], directive.args[1]]);
+}
+
+async function checkDns(domain) {
+  const name = "DNS";
+  try {
+    const { addresses, local } = await resolveDomain(domain);
+    if (local) {
+      return {
+        name,
+        status: "ok",
+        message: `Resolves to ${addresses.join(", ")} (this machine)`,
+      };
+    }
+    return {
+      name,
+      status: "warning",
+      message: `Resolves to ${addresses.join(", ")}, not to an address of this machine`,
+      hints: [
+        "Fine behind NAT or a load balancer; otherwise update the record",
+      ],
+    };
+  } catch (error) {
+    return {
+      name,
+      status: "warning",
+      message: `Does not resolve (${error.code || error.message})`,
+      hints: ["The requests below go to the local Nginx directly"],
+    };
+  }
+}
+
+// A 5xx or no answer fails, a 4xx (often auth or a missing index) only warns
+function checkStatus(name, response) {
+  const message = `${response.status} ${response.statusText} in ${response.latency}ms`;
+  if (response.status >= 500) {
+    return {
+      name,
+      status: "error",
+      message,
+      hints: ["Is the app running? Check: sudo tail /var/log/nginx/error.log"],
+    };
+  }
+  return {
+    name,
+    status: response.status >= 400 ? "warning" : "ok",
+    message,
+  };
+}
+
+function checkCertificate(response, names) {
+  const name = "Certificate";
+  if (!response.certificate) {
+    return { name, status: "error", message: "None presented" };
+  }
+  const info = certificateInfo(response.certificate);
+  const problems = [];
+  if (info.validFrom > new Date()) problems.push("not valid yet");
+  if (info.daysRemaining < 0) problems.push("expired");
+  const uncovered = uncoveredNames(info, names);
+  if (uncovered.length > 0) {
+    problems.push(`does not cover ${uncovered.join(", ")}`);
+  }
+  if (!response.authorized) {
+    problems.push(`not trusted (${response.authorizationError})`);
+  }
+
+  const message = `${info.subjectAltNames.join(", ")}, issued by ${
+    nameField(info.issuer, "CN") || "unknown"
+  }, expires ${info.validTo.toISOString().slice(0, 10)} (${info.daysRemaining}d)`;
+  if (problems.length > 0) {
+    return {
+      name,
+      status: "error",
+      message: `${message}: ${problems.join(", ")}`,
+      hints: ["Check them all with: sudo fast-nginx certs"],
+    };
+  }
+  return {
+    name,
+    status: info.daysRemaining < EXPIRY_WARNING_DAYS ? "warning" : "ok",
+    message,
+  };
+}
+
+function checkHeaders(response, expected) {
+  const name = "Security headers";
+  if (expected.length === 0) {
+    return {
+      name,
+      status: "warning",
+      message: "The config adds none (--security off?)",
+    };
+  }
+  const wrong = expected.filter(
+    ([header, value]) => response.headers[header.toLowerCase()] !== value,
+  );
+  if (wrong.length > 0) {
+    return {
+      name,
+      status: "error",
+      message: `Missing or different: ${wrong
+        .map(([header]) => header)
+        .join(", ")}`,
+      hints: ["A location with its own add_header drops the server's headers"],
+    };
+  }
+  return {
+    name,
+    status: "ok",
+    message: expected.map(([header]) => header).join(", "),
+  };
+}
+
+/**
+ * Checks the live site through the nginx at `address`: DNS, HTTP (which has to
+ * redirect to HTTPS when the site has it), the redirect chain, the final
+ * status, the certificate and the security headers. Returns system checks.
+ */
+async function verifyDeployment(domain, { address = "127.0.0.1" } = {}) {
+  const checks = [await checkDns(domain)];
+  const blocks = siteBlocks(domain);
+  const httpsBlock = blocks.find(listensWithTls);
+  const names = [
+    ...new Set(
+      [domain, ...blocks.flatMap((block) => block.serverNames)].map((item) =>
+        item.toLowerCase(),
+      ),
+    ),
+  ];
+
+  let chain;
+  try {
+    chain = await followRedirects(address, `http://${domain}/`, names);
+  } catch (error) {
+    checks.push({
+      name: "HTTP",
+      status: "error",
+      message: `No answer from ${address}:80 (${error.message})`,
+      hints: ["Is Nginx running? sudo systemctl status nginx"],
+    });
+    return checks;
+  }
+
+  const [first] = chain.hops;
+  if (httpsBlock) {
+    const location = first.headers.location || "";
+    checks.push(
+      [301, 302, 307, 308].includes(first.status) &&
+        location.startsWith("https://")
+        ? {
+            name: "HTTP",
+            status: "ok",
+            message: `${first.status} redirect to ${location}`,
+          }
+        : {
+            name: "HTTP",
+            status: "error",
+            message: `${first.status} ${first.statusText} instead of a redirect to HTTPS`,
+          },
+    );
+  } else {
+    checks.push(checkStatus("HTTP", first));
+  }
+  if (chain.hops.length > 1 || chain.stop) {
+    checks.push({
+      name: "Redirect chain",
+      status: chain.broken ? "error" : chain.stop ? "warning" : "ok",
+      message: `${formatHops(chain.hops)}${chain.stop ? ` (${chain.stop})` : ""}`,
+    });
+  }
+
+  let final = chain.final;
+  if (httpsBlock) {
+    if (!final.url.startsWith("https://")) {
+      try {
+        final = (await followRedirects(address, `https://${domain}/`, names))
+          .final;
+      } catch (error) {
+        checks.push({
+          name: "HTTPS",
+          status: "error",
+          message: `No answer from ${address}:443 (${error.message})`,
+        });
+        return checks;
+      }
+    }
+    checks.push(checkStatus("HTTPS", final));
+    checks.push(
+      checkCertificate(
+        final,
+        httpsBlock.serverNames.filter((item) => !item.startsWith("~")),
+      ),
+    );
+  } else if (chain.hops.length > 1) {
+    checks.push(checkStatus("Final response", final));
+  }
+
+  if (blocks.length > 0) {
+    checks.push(
+      checkHeaders(
+        final,
+        expectedHeaders(
+          final.url.startsWith("https://") && httpsBlock
+            ? httpsBlock
+            : blocks[0],
+        ),
+      ),
+    );
+  }
+  return checks;
+}
+
+module.exports = verifyDeployment;
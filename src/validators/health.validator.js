@@ -0,0 +1,41 @@
+const { validateUpstream } = require("./upstream.validator");
+const { siteUpstreams, probeUpstream } = require("../utils/health.helper");
+
+/**
+ * Checks that the site's upstreams answer before nginx is pointed at them,
+ * as system checks. A failure is a warning, or an error with
+ * --require-upstream (options are the command's, site the site's settings).
+ */
+async function checkUpstreamHealth(site, options = site) {
+  const required = Boolean(site.requireUpstream || options.requireUpstream);
+  // Invalid addresses are reported by the input validation
+  const addresses = siteUpstreams(site).filter((address) =>
+    validateUpstream({ address, params: {}, flags: [] }),
+  );
+
+  return Promise.all(
+    addresses.map(async (address) => {
+      const result = await probeUpstream(address, {
+        healthPath: site.healthPath,
+        expectedStatus: site.healthStatus,
+        domain: site.domain,
+      });
+      const name = `Upstream ${address} (${site.domain})`;
+      if (result.ok) {
+        return { name, status: "ok", message: result.message };
+      }
+      return {
+        name,
+        status: required ? "error" : "warning",
+        message: result.message,
+        hints: required
+          ? ["Start it first, or leave out --require-upstream to continue"]
+          : [
+              "Nginx cannot serve the site until it answers; --require-upstream makes this an error",
+            ],
+      };
+    }),
+  );
+}
+
+module.exports = checkUpstreamHealth;
@@ -0,0 +1,13 @@
+const RATE_REGEX = /^[1-9]\d*r\/[sm]$/;
+const COUNT_REGEX = /^[1-9]\d*$/;
+
+// Checks { rate, burst, conn }: "10r/s" or "600r/m", a burst only with a rate, and a connection count
+function validateLimits(limits) {
+    const { rate, burst, conn } = limits;
+    if (rate !== undefined && !RATE_REGEX.test(String(rate))) return false;
+    if (burst !== undefined && (rate === undefined || !COUNT_REGEX.test(String(burst)))) return false;
+    if (conn !== undefined && !COUNT_REGEX.test(String(conn))) return false;
+    return true;
+}
+
+module.exports = validateLimits;
@@ -0,0 +1,22 @@
+const { validateUpstream } = require("./upstream.validator");
+const validateLimits = require("./limit.validator");
+const validateCidr = require("./cidr.validator");
+const validateUsername = require("./username.validator");
+const { ROUTE_FLAGS, ROUTE_LIMITS } = require("../utils/route.helper");
+
+// Checks one parsed route: a plain URL prefix, a backend address, known flags, limits and access rules
+function validateRoute(route) {
+    if (!/^\/[A-Za-z0-9._~\-/]*$/.test(route.path) || route.path === "/") return false;
+    if (route.path.includes("//")) return false;
+
+    if (!validateUpstream({ address: route.address, params: {}, flags: [] })) return false;
+    if (!route.flags.every((flag) => ROUTE_FLAGS.includes(flag))) return false;
+    if (!Object.keys(route.limits).every((key) => ROUTE_LIMITS.includes(key))) return false;
+    if (!validateLimits(route.limits)) return false;
+
+    const { basicAuth, rules } = route.access;
+    if (basicAuth !== undefined && basicAuth !== "off" && !validateUsername(basicAuth)) return false;
+    return rules.every(({ rule }) => validateCidr(rule));
+}
+
+module.exports = validateRoute;
@@ -0,0 +1,584 @@
+const fs = require("fs");
+const path = require("path");
+const validateDomain = require("./domain.validator");
+const validatePort = require("./port.validator");
+const validateEmail = require("./email.validator");
+const { validateUpstream } = require("./upstream.validator");
+const validateRoute = require("./route.validator");
+const validateLimits = require("./limit.validator");
+const validateOrigin = require("./cors.validator");
+const validateCidr = require("./cidr.validator");
+const validateUsername = require("./username.validator");
+const validateAlias = require("./alias.validator");
+const {
+  BALANCE_METHODS,
+  parseUpstreamList,
+} = require("../utils/upstream.helper");
+const { parseRoutes, routePrefix } = require("../utils/route.helper");
+const { SECURITY_PROFILES } = require("../utils/security.helper");
+const { siteLimits, hasLimits } = require("../utils/limit.helper");
+const { CORS_METHODS } = require("../utils/cors.helper");
+const { parseList } = require("../utils/list.helper");
+const { siteAccess } = require("../utils/access.helper");
+const { isWildcard, siteAliases, siteNames } = require("../utils/alias.helper");
+const {
+  SSL_PROVIDERS,
+  sslProvider,
+  loadCustomCertificate,
+  uncoveredNames,
+} = require("../utils/certificate.helper");
+const { getSitePaths } = require("../utils/sites.helper");
+const { getLayout, findInclude } = require("../utils/layout.helper");
+const { listTemplates, getTemplate } = require("../templates");
+const { getUserTemplatesDir } = require("../templates/user.template");
+const {
+  getNginxUser,
+  findUnreadablePath,
+} = require("../utils/permission.helper");
+
+const SSL_METHODS = ["webroot", "nginx", "dns"];
+
+function validateUpstreamOptions(options) {
+  const problems = [];
+
+  if (options.upstream) {
+    const servers = parseUpstreamList(options.upstream);
+    if (servers.length === 0) {
+      problems.push({ message: "--upstream needs at least one server" });
+    }
+    for (const server of servers) {
+      if (!validateUpstream(server)) {
+        problems.push({
+          message: `Invalid upstream server: ${server.source}`,
+          hints: [
+            "Format: host:port [weight=N] [max_fails=N] [fail_timeout=10s] [backup]",
+            "Example: --upstream '127.0.0.1:3000 weight=2,10.0.0.5:3000 backup'",
+          ],
+        });
+      }
+    }
+    if (
+      options.balance === "ip_hash" &&
+      servers.some((server) => server.flags.includes("backup"))
+    ) {
+      problems.push({
+        message: "Backup servers cannot be used with ip_hash balancing",
+      });
+    }
+  } else if (options.balance || options.keepalive) {
+    problems.push({ message: "--balance and --keepalive require --upstream" });
+  }
+
+  if (options.balance && !BALANCE_METHODS.includes(options.balance)) {
+    problems.push({
+      message: `Unknown balancing method: ${options.balance}`,
+      hints: [`Available methods: ${BALANCE_METHODS.join(", ")}`],
+    });
+  }
+
+  if (options.keepalive && !/^[1-9]\d*$/.test(String(options.keepalive))) {
+    problems.push({
+      message: `Invalid keepalive connection count: ${options.keepalive}`,
+    });
+  }
+
+  if (options.healthPath && !/^\/\S*$/.test(options.healthPath)) {
+    problems.push({
+      message: `Invalid health check path: ${options.healthPath}`,
+      hints: ["It must start with /, e.g. --health-path /healthz"],
+    });
+  }
+  if (options.healthStatus !== undefined) {
+    if (!/^[1-5]\d\d$/.test(String(options.healthStatus))) {
+      problems.push({
+        message: `Invalid expected status: ${options.healthStatus}`,
+        hints: ["Use an HTTP status code, e.g. --health-status 204"],
+      });
+    }
+    if (!options.healthPath) {
+      problems.push({ message: "--health-status requires --health-path" });
+    }
+  }
+
+  return problems;
+}
+
+function validateRouteOptions(options) {
+  const problems = [];
+  const seen = new Set();
+
+  for (const route of parseRoutes(options.routes)) {
+    if (!validateRoute(route)) {
+      problems.push({
+        message: `Invalid route: ${route.source}`,
+        hints: [
+          "Format: /path=port or /path=host:port, optionally followed by :websocket, :strip, :rate=5r/s, :burst=10 and :conn=20",
+          "Access rules: :auth=<user> (or auth=off), :allow=10.0.0.0/8, :allow=[2001:db8::/32] and :deny=all",
+          "Example: --route /api=4000 --route /ws=5000:websocket",
+          "The site root (/) is served by --port or --upstream",
+        ],
+      });
+      continue;
+    }
+    if (seen.has(routePrefix(route))) {
+      problems.push({ message: `Route ${route.path} is declared twice` });
+    }
+    seen.add(routePrefix(route));
+  }
+
+  return problems;
+}
+
+function validateLimitOptions(options) {
+  const problems = [];
+  const limits = siteLimits(options);
+
+  if (!validateLimits(limits)) {
+    const given = [
+      ["--rate-limit", limits.rate],
+      ["--burst", limits.burst],
+      ["--conn-limit", limits.conn],
+    ].filter(([, value]) => value !== undefined);
+    problems.push({
+      message: `Invalid limits: ${given.map((entry) => entry.join(" ")).join(" ")}`,
+      hints: [
+        "--rate-limit is requests per second or minute, e.g. 10r/s or 600r/m",
+        "--burst and --conn-limit are positive numbers; --burst needs --rate-limit",
+      ],
+    });
+  }
+
+  const usesLimits =
+    hasLimits(limits) ||
+    parseRoutes(options.routes).some((route) => hasLimits(route.limits));
+  // Limit zones are only loaded when nginx.conf includes conf.d at http level
+  const layout = getLayout();
+  if (
+    usesLimits &&
+    fs.existsSync(layout.confPath) &&
+    !findInclude(layout.includes, getSitePaths(options.domain).zones)
+  ) {
+    problems.push({
+      message: `${layout.confPath} does not include ${layout.confDir}/*.conf`,
+      hints: [
+        `Rate limit zones are written to ${layout.confDir}; add this inside the http block:`,
+        `include ${layout.confDir}/*.conf;`,
+      ],
+    });
+  }
+
+  return problems;
+}
+
+function validateCorsOptions(options, templateDefinition) {
+  const problems = [];
+  const origins = parseList(options.corsOrigin);
+
+  if (origins.length === 0) {
+    if (options.corsCredentials || options.corsMethods || options.corsHeaders) {
+      problems.push({
+        message:
+          "--cors-credentials, --cors-methods and --cors-headers require --cors-origin",
+      });
+    }
+    return problems;
+  }
+
+  if (
+    templateDefinition &&
+    !templateDefinition.options.includes("corsOrigin")
+  ) {
+    problems.push({
+      message: `The ${options.template} template does not support CORS options`,
+      hints: ["Use --template api"],
+    });
+  }
+
+  if (origins.includes("*")) {
+    if (origins.length > 1) {
+      problems.push({ message: '"*" cannot be combined with other origins' });
+    }
+    // Browsers reject credentialed responses that allow every origin
+    if (options.corsCredentials) {
+      problems.push({
+        message: '--cors-credentials cannot be used with --cors-origin "*"',
+        hints: [
+          "List the allowed origins instead: --cors-origin https://app.com",
+        ],
+      });
+    }
+  }
+  for (const origin of origins.filter((item) => item !== "*")) {
+    if (!validateOrigin(origin)) {
+      problems.push({
+        message: `Invalid CORS origin: ${origin}`,
+        hints: [
+          "Origins are scheme://host[:port] without a path, e.g. https://app.myapp.com",
+        ],
+      });
+    }
+  }
+
+  const unknownMethods = parseList(options.corsMethods).filter(
+    (method) => !CORS_METHODS.includes(method),
+  );
+  if (unknownMethods.length > 0) {
+    problems.push({
+      message: `Unknown CORS methods: ${unknownMethods.join(", ")}`,
+      hints: [`Available methods: ${CORS_METHODS.join(", ")}`],
+    });
+  }
+
+  const invalidHeaders = parseList(options.corsHeaders).filter(
+    (header) => !/^[A-Za-z0-9-]+$/.test(header),
+  );
+  if (invalidHeaders.length > 0) {
+    problems.push({
+      message: `Invalid CORS headers: ${invalidHeaders.join(", ")}`,
+    });
+  }
+
+  return problems;
+}
+
+function validateAliasOptions(options) {
+  const problems = [];
+  const aliases = siteAliases(options, options.domain);
+
+  for (const alias of aliases.filter((name) => !validateAlias(name))) {
+    problems.push({
+      message: `Invalid alias: ${alias}`,
+      hints: ["Example: --alias www.myapp.com,*.myapp.com"],
+    });
+  }
+  // Let's Encrypt only proves wildcard names over DNS
+  const wildcards = aliases.filter(isWildcard);
+  if (
+    sslProvider(options) === "letsencrypt" &&
+    wildcards.length > 0 &&
+    options.sslMethod !== "dns"
+  ) {
+    problems.push({
+      message: `Wildcard names need --ssl-method dns: ${wildcards.join(", ")}`,
+      hints: [
+        "Use: --ssl-method dns --dns-hook /path/to/hook",
+        "Or --ssl self-signed for a certificate from the local CA",
+      ],
+    });
+  }
+
+  return problems;
+}
+
+// --ssl-method dns runs a user script to publish the challenge TXT records
+function validateDnsOptions(options) {
+  const problems = [];
+
+  if (options.sslMethod !== "dns") {
+    if (options.dnsHook) {
+      problems.push({ message: "--dns-hook requires --ssl-method dns" });
+    }
+    return problems;
+  }
+  if (!options.dnsHook) {
+    problems.push({
+      message: "--ssl-method dns requires --dns-hook <script>",
+      hints: [
+        "The script is called as: <script> add|remove _acme-challenge.<domain> <value>",
+      ],
+    });
+    return problems;
+  }
+  try {
+    fs.accessSync(options.dnsHook, fs.constants.X_OK);
+    if (!fs.statSync(options.dnsHook).isFile()) throw new Error("not a file");
+  } catch (error) {
+    problems.push({
+      message: `DNS hook is not an executable file: ${options.dnsHook}`,
+      hints: [`Make it executable: chmod +x ${options.dnsHook}`],
+    });
+  }
+
+  return problems;
+}
+
+// --cert, --key and --chain: a certificate installed as-is, without certbot
+function validateCustomCertificateOptions(options) {
+  if (!options.cert && !options.key && !options.chain) return [];
+  if (!options.cert || !options.key) {
+    return [
+      {
+        message: "--cert and --key must be given together",
+        hints: ["--chain is only needed when --cert lacks the intermediates"],
+      },
+    ];
+  }
+  if (options.ssl) {
+    return [
+      {
+        message: "--cert cannot be combined with --ssl",
+        hints: [
+          "--ssl issues a Let's Encrypt or self-signed certificate instead",
+        ],
+      },
+    ];
+  }
+
+  let info;
+  try {
+    ({ info } = loadCustomCertificate(options));
+  } catch (error) {
+    return [{ message: error.message }];
+  }
+
+  const problems = [];
+  const missing = uncoveredNames(info, siteNames(options, options.domain));
+  if (missing.length > 0) {
+    problems.push({
+      message: `The certificate does not cover: ${missing.join(", ")}`,
+      hints: [
+        `It is valid for: ${info.subjectAltNames.join(", ") || "no DNS names"}`,
+      ],
+    });
+  }
+  if (info.validFrom > new Date()) {
+    problems.push({
+      message: `The certificate is not valid before ${info.validFrom.toISOString()}`,
+    });
+  }
+  if (info.daysRemaining < 0) {
+    problems.push({
+      message: `The certificate expired on ${info.validTo.toISOString()}`,
+    });
+  }
+
+  return problems;
+}
+
+function validateAcmeOptions(options) {
+  const problems = [];
+
+  if (options.acmeServer && !/^https?:\/\/[^\s'"]+$/.test(options.acmeServer)) {
+    problems.push({
+      message: `Invalid ACME server: ${options.acmeServer}`,
+      hints: ["Example: --acme-server https://localhost:14000/dir"],
+    });
+  }
+  if (options.acmeCaBundle && !fs.existsSync(options.acmeCaBundle)) {
+    problems.push({
+      message: `CA bundle not found: ${options.acmeCaBundle}`,
+    });
+  }
+
+  return problems;
+}
+
+function validateAccessOptions(options) {
+  const problems = [];
+  const access = siteAccess(options);
+
+  if (access.basicAuth !== undefined && !validateUsername(access.basicAuth)) {
+    problems.push({
+      message: `Invalid basic auth user: ${access.basicAuth}`,
+      hints: ["Use letters, digits, dots, dashes and underscores"],
+    });
+  }
+  for (const { rule } of access.rules) {
+    if (!validateCidr(rule)) {
+      problems.push({
+        message: `Invalid access rule: ${rule}`,
+        hints: [
+          "Use an address, a CIDR block or all, e.g. --allow 10.0.0.0/8 --deny all",
+        ],
+      });
+    }
+  }
+
+  return problems;
+}
+
+function validateSecurityOptions(options) {
+  const problems = [];
+  const profile = options.security || "standard";
+
+  if (!SECURITY_PROFILES.includes(profile)) {
+    problems.push({
+      message: `Unknown security profile: ${profile}`,
+      hints: [`Available profiles: ${SECURITY_PROFILES.join(", ")}`],
+    });
+  }
+  if (profile === "off" && (options.hstsPreload || options.csp)) {
+    problems.push({
+      message: "--hsts-preload and --csp cannot be used with --security off",
+    });
+  }
+  // The policy is written inside a double-quoted nginx string
+  if (options.csp && /["$\\\r\n]/.test(options.csp)) {
+    problems.push({
+      message: `Invalid Content-Security-Policy: ${options.csp}`,
+      hints: [
+        'It cannot contain double quotes, "$", backslashes or line breaks',
+        "Example: --csp \"default-src 'self'; img-src 'self' data:\"",
+      ],
+    });
+  }
+
+  return problems;
+}
+
+// --root must be a directory the nginx workers can read
+function validateRootOptions(options) {
+  const { root } = options;
+  if (!path.isAbsolute(root) || /[\s;{}'"$]/.test(root)) {
+    return [
+      {
+        message: `Invalid root directory: ${root}`,
+        hints: ["Use an absolute path, e.g. --root /var/www/myapp"],
+      },
+    ];
+  }
+
+  let stats;
+  try {
+    stats = fs.statSync(root);
+  } catch (error) {
+    return [
+      {
+        message: `Root directory not found: ${root}`,
+        hints: [`Create it first: sudo mkdir -p ${root}`],
+      },
+    ];
+  }
+  if (!stats.isDirectory()) {
+    return [{ message: `Root is not a directory: ${root}` }];
+  }
+
+  const user = getNginxUser();
+  const blocked = findUnreadablePath(root, user);
+  if (blocked) {
+    return [
+      {
+        message: `nginx (user ${user}) cannot read ${root}`,
+        hints: [
+          blocked === path.resolve(root)
+            ? `Allow it with: sudo chmod o+rx ${blocked}`
+            : `${blocked} is not searchable; allow it with: sudo chmod o+x ${blocked}`,
+        ],
+      },
+    ];
+  }
+
+  return [];
+}
+
+/**
+ * Checks the options describing one site, as given on the command line or in
+ * an apply file. Returns a list of { message, hints } problems, empty when the
+ * site is valid.
+ */
+function validateSiteOptions(options) {
+  const problems = [];
+  const { domain, port, template } = options;
+
+  if (!validateDomain(domain)) {
+    problems.push({
+      message: `Invalid domain format: ${domain}`,
+      hints: ["Example: myapp.uz , api.myapp.uz"],
+    });
+  }
+
+  // Static sites have no upstream, so port and upstream options are not used
+  if (!options.root && !validatePort(port)) {
+    problems.push({
+      message: `Invalid port number: ${port}`,
+      hints: ["Port must be between 1 and 65535"],
+    });
+  }
+
+  const templateDefinition = getTemplate(template);
+  const servesRoot =
+    templateDefinition && templateDefinition.options.includes("root");
+  if (!templateDefinition) {
+    problems.push({
+      message: `Unknown template: ${template}`,
+      hints: [
+        "Available templates:",
+        ...listTemplates().map(
+          (item) => `  ${item.name.padEnd(8)} ${item.description}`,
+        ),
+        `User templates directory: ${getUserTemplatesDir()}`,
+      ],
+    });
+  }
+
+  const provider = sslProvider(options);
+  if (provider && !SSL_PROVIDERS.includes(provider)) {
+    problems.push({
+      message: `Unknown --ssl value: ${provider}`,
+      hints: [
+        "Use --ssl for Let's Encrypt, or --ssl self-signed for the local CA",
+      ],
+    });
+  }
+
+  if (provider === "letsencrypt" && !options.email) {
+    problems.push({
+      message: "Email is required when using --ssl option",
+      hints: [
+        "Use: fast-nginx --domain domain.com --port [your app port] --ssl --email your@email.com --yes",
+        "Or, without a public domain: --ssl self-signed",
+      ],
+    });
+  }
+
+  if (
+    provider === "letsencrypt" &&
+    options.email &&
+    !validateEmail(options.email)
+  ) {
+    problems.push({ message: `Invalid email format: ${options.email}` });
+  }
+
+  if (provider === "letsencrypt" && !SSL_METHODS.includes(options.sslMethod)) {
+    problems.push({
+      message: `Unknown SSL method: ${options.sslMethod}`,
+      hints: [`Available methods: ${SSL_METHODS.join(", ")}`],
+    });
+  }
+
+  if (provider === "letsencrypt") {
+    problems.push(...validateDnsOptions(options));
+    problems.push(...validateAcmeOptions(options));
+  }
+
+  if (options.root) {
+    if (templateDefinition && !servesRoot) {
+      problems.push({
+        message: `The ${template} template does not serve files from --root`,
+        hints: ["Use --template static, or drop --template"],
+      });
+    }
+    problems.push(...validateRootOptions(options));
+  } else {
+    if (servesRoot) {
+      problems.push({
+        message: `The ${template} template requires --root <directory>`,
+      });
+    }
+    problems.push(...validateUpstreamOptions(options));
+  }
+  problems.push(...validateAliasOptions(options));
+  problems.push(...validateCustomCertificateOptions(options));
+  problems.push(...validateRouteOptions(options));
+  problems.push(...validateSecurityOptions(options));
+  problems.push(...validateLimitOptions(options));
+  problems.push(...validateCorsOptions(options, templateDefinition));
+  problems.push(...validateAccessOptions(options));
+
+  return problems;
+}
+
+module.exports = {
+  SSL_METHODS,
+  validateSiteOptions,
+};
@@ -1,8 +1,52 @@
 const { execSync } = require("child_process");
 const fs = require("fs");
 const chalk = require("chalk");
+const path = require("path");
 const { askUser } = require("../utils/ask.helper");
-const { sudoCreateFileOrFolder } = require("../utils/file.helper");
+const { getLayout, findInclude } = require("../utils/layout.helper");
+const {
+  findDirectives,
+  matchesInclude,
+} = require("../utils/nginx-config.helper");
+
+// Offers to create a missing sites directory
+async function checkDirectory(options, directory, name) {
+  if (fs.existsSync(directory)) {
+    return { name, status: "ok", message: "Directory exists" };
+  }
+  if (options.dryRun) {
+    return {
+      name,
+      status: "warning",
+      message: "Directory missing (would create)",
+    };
+  }
+
+  console.log(chalk.yellow(`⚠️  Directory ${directory} does not exist`));
+  const shouldCreate = await askUser(
+    options,
+    `Would you like to create ${directory}?`,
+  );
+  if (!shouldCreate) {
+    return {
+      name,
+      status: "error",
+      message: "Directory missing and not created",
+    };
+  }
+  try {
+    fs.mkdirSync(directory, { recursive: true });
+    console.log(chalk.green(`✅ Created directory: ${directory}`));
+    return { name, status: "ok", message: "Directory created" };
+  } catch (error) {
+    console.error(chalk.red(`❌ Failed to create directory: ${error.message}`));
+    return {
+      name,
+      status: "error",
+      message: "Failed to create directory",
+    };
+  }
+}
 
 async function checkSystemRequirements(options) {
   const checks = [];
@@ -38,225 +82,78 @@ async function checkSystemRequirements(options) {
     checks.push({ name: "Nginx", status: "error", message: "Not installed" });
   }
 
-  // Check and create Nginx directories
-  const nginxConfigDir = "/etc/nginx";
-  const sitesAvailableDir = "/etc/nginx/sites-available";
-  const sitesEnabledDir = "/etc/nginx/sites-enabled";
-
-  if (!fs.existsSync(nginxConfigDir)) {
-    const userResponse = await askUser(
-      options,
-      `⚠️ etc/nginx file doesn't exists. Will create it in ${nginxConfigDir} directory. Continue?`,
-    );
-
-    if (userResponse) {
-      await sudoCreateFileOrFolder(nginxConfigDir, "folder", (err) => {
-        if (err) {
-          console.log(
-            chalk.red(`❌ Failed to create ${nginxConfigDir} folder: `, err),
-          );
-          process.exit(1);
-        }
-      });
-    }
+  const layout = getLayout();
+  if (!fs.existsSync(layout.root)) {
     checks.push({
       name: "Nginx Configuration",
       status: "error",
-      message: "Nginx config directory not found",
+      message: `${layout.root} not found`,
+      hints: ["Point fast-nginx at nginx's directory with --nginx-root <dir>"],
     });
     return checks;
   }
+  checks.push({
+    name: "Nginx layout",
+    status: "ok",
+    message: `${layout.name} in ${layout.root}${layout.detected ? " (detected)" : ""}`,
+  });
 
-  // Check sites-available directory
-  if (!fs.existsSync(sitesAvailableDir)) {
-    if (options.dryRun) {
-      checks.push({
-        name: "Nginx sites-available",
-        status: "warning",
-        message: "Directory missing (would create)",
-      });
-    } else {
-      console.log(
-        chalk.yellow(`⚠️  Directory ${sitesAvailableDir} does not exist`),
-      );
-      const shouldCreate = await askUser(
+  for (const directory of [layout.availableDir, layout.enabledDir]) {
+    checks.push(
+      await checkDirectory(
         options,
-        "Would you like to create the sites-available directory?",
-      );
+        directory,
+        `Nginx ${path.relative(layout.root, directory)}`,
+      ),
+    );
+  }
 
-      if (shouldCreate) {
-        try {
-          fs.mkdirSync(sitesAvailableDir, { recursive: true });
-          console.log(
-            chalk.green(`✅ Created directory: ${sitesAvailableDir}`),
-          );
-          checks.push({
-            name: "Nginx sites-available",
-            status: "ok",
-            message: "Directory created",
-          });
-        } catch (error) {
-          console.error(
-            chalk.red(`❌ Failed to create directory: ${error.message}`),
-          );
-          checks.push({
-            name: "Nginx sites-available",
-            status: "error",
-            message: "Failed to create directory",
-          });
-        }
-      } else {
-        checks.push({
-          name: "Nginx sites-available",
-          status: "error",
-          message: "Directory missing and not created",
-        });
-      }
-    }
-  } else {
+  // nginx.conf is never edited: a missing include is for the user to add
+  const enabledPattern = path.join(layout.enabledDir, layout.siteFile("*"));
+  const exampleSite = path.join(
+    layout.enabledDir,
+    layout.siteFile("example.com"),
+  );
+  const misplaced = layout.config
+    ? findDirectives(layout.config, "include").find(
+        ({ node }) => node.pattern && matchesInclude(node.pattern, exampleSite),
+      )
+    : null;
+  if (!fs.existsSync(layout.confPath)) {
+    checks.push({
+      name: "Nginx include directive",
+      status: "warning",
+      message: `${layout.confPath} not found, cannot check that it includes ${enabledPattern}`,
+    });
+  } else if (layout.configError) {
+    checks.push({
+      name: "Nginx include directive",
+      status: "error",
+      message: `Cannot parse ${layout.confPath}: ${layout.configError}`,
+      hints: ["Fix it, then check it with: sudo nginx -t"],
+    });
+  } else if (findInclude(layout.includes, exampleSite)) {
     checks.push({
-      name: "Nginx sites-available",
+      name: "Nginx include directive",
       status: "ok",
-      message: "Directory exists",
+      message: `Present in ${layout.confPath}`,
     });
-  }
-
-  // Check sites-enabled directory
-  if (!fs.existsSync(sitesEnabledDir)) {
-    if (options.dryRun) {
-      checks.push({
-        name: "Nginx sites-enabled",
-        status: "warning",
-        message: "Directory missing (would create)",
-      });
-    } else {
-      console.log(
-        chalk.yellow(`⚠️  Directory ${sitesEnabledDir} does not exist`),
-      );
-      const shouldCreate = await askUser(
-        options,
-        "Would you like to create the sites-enabled directory?",
-      );
-
-      if (shouldCreate) {
-        try {
-          fs.mkdirSync(sitesEnabledDir, { recursive: true });
-          console.log(chalk.green(`✅ Created directory: ${sitesEnabledDir}`));
-          checks.push({
-            name: "Nginx sites-enabled",
-            status: "ok",
-            message: "Directory created",
-          });
-        } catch (error) {
-          console.error(
-            chalk.red(`❌ Failed to create directory: ${error.message}`),
-          );
-          checks.push({
-            name: "Nginx sites-enabled",
-            status: "error",
-            message: "Failed to create directory",
-          });
-        }
-      } else {
-        checks.push({
-          name: "Nginx sites-enabled",
-          status: "error",
-          message: "Directory missing and not created",
-        });
-      }
-    }
   } else {
     checks.push({
-      name: "Nginx sites-enabled",
-      status: "ok",
-      message: "Directory exists",
+      name: "Nginx include directive",
+      status: "error",
+      // Server blocks are only valid inside http
+      message: misplaced
+        ? `${misplaced.file}:${misplaced.node.line} includes ${enabledPattern} outside the http block`
+        : `${layout.confPath} does not include ${enabledPattern}`,
+      hints: [
+        "Add this inside its http block:",
+        `include ${enabledPattern};`,
+        `Or pick the other layout: --layout ${layout.name === "sites" ? "conf.d" : "sites"}`,
+      ],
     });
   }
 
-  const nginxConfPath = "/etc/nginx/nginx.conf";
-  if (fs.existsSync(nginxConfPath)) {
-    try {
-      const nginxConf = fs.readFileSync(nginxConfPath, "utf8");
-      const hasInclude = nginxConf.includes(
-        "include /etc/nginx/sites-enabled/*",
-      );
-
-      if (!hasInclude) {
-        if (options.dryRun) {
-          checks.push({
-            name: "Nginx include directive",
-            status: "warning",
-            message: "sites-enabled include missing (would add)",
-          });
-        } else {
-          console.log(
-            chalk.yellow(
-              "⚠️  nginx.conf doesn't include sites-enabled directory",
-            ),
-          );
-          const shouldAdd = await askUser(
-            options,
-            "Would you like to add the include directive to nginx.conf?",
-          );
-
-          if (shouldAdd) {
-            try {
-              // Add include directive to http block
-              const updatedConf = nginxConf.replace(
-                /(http\s*{[^}]*)/,
-                `$1\n\t# Include server blocks\n\tinclude /etc/nginx/sites-enabled/*;\n`,
-              );
-
-              // Backup original
-              fs.writeFileSync(
-                `${nginxConfPath}.backup.${Date.now()}`,
-                nginxConf,
-              );
-              fs.writeFileSync(nginxConfPath, updatedConf);
-
-              console.log(
-                chalk.green("✅ Added include directive to nginx.conf"),
-              );
-              console.log(chalk.gray("   (Original backed up)"));
-              checks.push({
-                name: "Nginx include directive",
-                status: "ok",
-                message: "Added to nginx.conf",
-              });
-            } catch (error) {
-              console.error(
-                chalk.red(`❌ Failed to update nginx.conf: ${error.message}`),
-              );
-              checks.push({
-                name: "Nginx include directive",
-                status: "error",
-                message: "Failed to update nginx.conf",
-              });
-            }
-          } else {
-            checks.push({
-              name: "Nginx include directive",
-              status: "warning",
-              message: "Include directive not added",
-            });
-          }
-        }
-      } else {
-        checks.push({
-          name: "Nginx include directive",
-          status: "ok",
-          message: "Present in nginx.conf",
-        });
-      }
-    } catch (error) {
-      checks.push({
-        name: "Nginx include directive",
-        status: "error",
-        message: "Cannot read nginx.conf",
-      });
-    }
-  }
-
   return checks;
 }
 
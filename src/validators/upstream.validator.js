@@ -0,0 +1,46 @@
+const validatePort = require("./port.validator");
+
+const IPV4_REGEX = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
+// Labels of 1 to 63 letters, digits and inner hyphens, 253 characters in all
+const HOSTNAME_REGEX =
+    /^(?=.{1,253}$)[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+const TIME_REGEX = /^\d+(ms|s|m|h)?$/;
+
+function validateHost(host) {
+    if (host.startsWith("[") && host.endsWith("]")) {
+        // IPv6 literal; the exact form is left to nginx
+        return /^[0-9a-fA-F:.]+$/.test(host.slice(1, -1)) && host.includes(":");
+    }
+    return IPV4_REGEX.test(host) || HOSTNAME_REGEX.test(host);
+}
+
+function validateAddress(address) {
+    if (address.startsWith("unix:")) {
+        return address.length > "unix:/".length && address[5] === "/";
+    }
+
+    const separator = address.lastIndexOf(":");
+    if (separator === -1) return false;
+
+    const host = address.slice(0, separator);
+    const port = address.slice(separator + 1);
+    return /^\d+$/.test(port) && validatePort(port) && validateHost(host);
+}
+
+// Checks one parsed upstream server: address plus weight/max_fails/fail_timeout/backup
+function validateUpstream(server) {
+    if (!validateAddress(server.address)) return false;
+
+    for (const [key, value] of Object.entries(server.params)) {
+        if (key === "weight" && !/^[1-9]\d*$/.test(value)) return false;
+        if (key === "max_fails" && !/^\d+$/.test(value)) return false;
+        if (key === "fail_timeout" && !TIME_REGEX.test(value)) return false;
+        if (!["weight", "max_fails", "fail_timeout"].includes(key)) return false;
+    }
+    return server.flags.every((flag) => flag === "backup" || flag === "down");
+}
+
+module.exports = {
+    validateHost,
+    validateUpstream,
+};
@@ -0,0 +1,7 @@
+// An htpasswd user name; "off" is reserved for routes that lift basic auth
+function validateUsername(username) {
+    if (typeof username !== "string" || username === "off") return false;
+    return /^[A-Za-z0-9._-]{1,64}$/.test(username);
+}
+
+module.exports = validateUsername;
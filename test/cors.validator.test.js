@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const validateOrigin = require("../src/validators/cors.validator");
+
+test("accepts exact browser origins", () => {
+  for (const origin of [
+    "https://a.com",
+    "https://b.com",
+    "http://x.io:8080",
+    "https://app.example.co.uk",
+    "http://localhost:3000",
+    "http://127.0.0.1:5173",
+    "http://[::1]:3000",
+  ]) {
+    assert.equal(validateOrigin(origin), true, origin);
+  }
+});
+
+test("rejects what a browser never sends as an Origin", () => {
+  for (const origin of [
+    "a.com",
+    "ftp://a.com",
+    "https://a.com/",
+    "https://a.com/path",
+    "https://a.com:0",
+    "https://a.com:70000",
+    "https://-a.com",
+    "https://a..com",
+    "https://a_b.com",
+    `https://${"a".repeat(64)}.com`,
+    "http://[::1",
+  ]) {
+    assert.equal(validateOrigin(origin), false, origin);
+  }
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { dnsHookCommand } = require("../src/utils/dns.helper");
+
+// certbot runs the --manual-auth-hook and --manual-cleanup-hook commands through a shell
+function runAsCertbot(command, env) {
+  try {
+    execSync(command, {
+      env: { ...process.env, ...env },
+      stdio: "pipe",
+    });
+    return 0;
+  } catch (error) {
+    return error.status;
+  }
+}
+
+test(
+  "the certbot hooks call the user's script with the record name and value",
+  { skip: process.platform === "win32" && "needs a POSIX shell" },
+  (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "fast-nginx "));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const calls = path.join(directory, "calls");
+    const script = path.join(directory, "dns hook.sh");
+    fs.writeFileSync(
+      script,
+      `#!/bin/sh\necho "$1 $2 $3 $CERTBOT_DOMAIN" >> '${calls}'\nexit "\${HOOK_STATUS:-0}"\n`,
+      { mode: 0o755 },
+    );
+
+    const env = { CERTBOT_DOMAIN: "*.myapp.test", CERTBOT_VALIDATION: "v4l" };
+    assert.equal(runAsCertbot(dnsHookCommand("add", script), env), 0);
+    assert.equal(runAsCertbot(dnsHookCommand("remove", script), env), 0);
+    assert.equal(
+      fs.readFileSync(calls, "utf8"),
+      "add _acme-challenge.myapp.test v4l *.myapp.test\nremove _acme-challenge.myapp.test v4l *.myapp.test\n",
+    );
+
+    // certbot stops when the hook fails
+    assert.equal(
+      runAsCertbot(dnsHookCommand("add", script), { ...env, HOOK_STATUS: 3 }),
+      3,
+    );
+    // and the runner refuses to guess without certbot's variables
+    assert.equal(
+      runAsCertbot(dnsHookCommand("add", script), {
+        CERTBOT_DOMAIN: "",
+        CERTBOT_VALIDATION: "",
+      }),
+      2,
+    );
+  },
+);
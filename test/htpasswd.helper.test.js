@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const {
+  apr1Hash,
+  parseHtpasswd,
+  formatHtpasswd,
+} = require("../src/utils/htpasswd.helper");
+
+// From `openssl passwd -apr1 -salt <salt> <password>` (OpenSSL 3.0)
+const KNOWN_ANSWERS = [
+  ["secret", "Nn9Ow/Lu", "$apr1$Nn9Ow/Lu$NxKWNaMFDpLK8jPdfY44.0"],
+  [
+    "correct horse battery staple",
+    "Nn9Ow/Lu",
+    "$apr1$Nn9Ow/Lu$etbrsRYP769YFyp4Wk8UP0",
+  ],
+  ["pässwörd", "Nn9Ow/Lu", "$apr1$Nn9Ow/Lu$JYqL1XFLR/l7XautBCZ86."],
+  ["a", "Nn9Ow/Lu", "$apr1$Nn9Ow/Lu$THLCTB5JTd.zjEt235tRq."],
+  ["secret", "abc", "$apr1$abc$PZF73YJz5hJ9yyI.7OP.R."],
+  ["", "abc", "$apr1$abc$BfqKdn9xFDWJPa3kcp/PH0"],
+];
+
+function hasOpenssl() {
+  try {
+    execFileSync("openssl", ["version"], { stdio: "pipe" });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+test("apr1Hash matches openssl passwd -apr1", () => {
+  for (const [password, salt, expected] of KNOWN_ANSWERS) {
+    assert.equal(apr1Hash(password, salt), expected, password);
+  }
+});
+
+test(
+  "apr1Hash matches the local openssl with a random salt",
+  { skip: !hasOpenssl() && "openssl is not installed" },
+  () => {
+    for (const password of ["secret", "a much longer password than sixteen"]) {
+      const hash = apr1Hash(password);
+      const salt = hash.split("$")[2];
+      assert.match(salt, /^[./0-9A-Za-z]{8}$/);
+      const expected = execFileSync(
+        "openssl",
+        ["passwd", "-apr1", "-salt", salt, password],
+        { encoding: "utf8" },
+      ).trim();
+      assert.equal(hash, expected);
+    }
+  },
+);
+
+test("htpasswd files round-trip through parse and format", () => {
+  const content = "admin:$apr1$abc$PZF73YJz5hJ9yyI.7OP.R.\nops:$apr1$x$y\n";
+  assert.equal(formatHtpasswd(parseHtpasswd(content)), content);
+});
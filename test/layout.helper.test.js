@@ -0,0 +1,189 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  resolveLayout,
+  configureLayout,
+} = require("../src/utils/layout.helper");
+
+const CLI = path.join(__dirname, "..", "bin", "cli.js");
+
+function createNginxRoot(t, nginxConf, directories = []) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "fast-nginx-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(root, "nginx.conf"), nginxConf);
+  for (const directory of directories) {
+    fs.mkdirSync(path.join(root, directory));
+  }
+  return root;
+}
+
+// Every file below root, relative to it
+function listFiles(root, directory = root) {
+  return fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(directory, entry.name);
+    return entry.isDirectory()
+      ? listFiles(root, file)
+      : [path.relative(root, file)];
+  });
+}
+
+test("detects the layout from the includes of the http block", (t) => {
+  const sites = createNginxRoot(
+    t,
+    "events {}\nhttp {\n    include conf.d/*.conf;\n    include sites-enabled/*;\n}\n",
+  );
+  const layout = resolveLayout({ nginxRoot: sites });
+  assert.equal(layout.name, "sites");
+  assert.equal(layout.detected, true);
+  assert.equal(layout.custom, true);
+  assert.equal(layout.confPath, path.join(sites, "nginx.conf"));
+  assert.equal(layout.availableDir, path.join(sites, "sites-available"));
+  assert.equal(layout.enabledDir, path.join(sites, "sites-enabled"));
+  assert.equal(layout.siteFile("a.test"), "a.test");
+
+  const confD = createNginxRoot(
+    t,
+    "events {}\nhttp {\n    include conf.d/*.conf;\n}\n",
+    ["sites-enabled"],
+  );
+  const detected = resolveLayout({ nginxRoot: confD });
+  assert.equal(detected.name, "conf.d");
+  assert.equal(detected.availableDir, path.join(confD, "fast-nginx", "sites"));
+  assert.equal(detected.enabledDir, path.join(confD, "conf.d"));
+  assert.equal(detected.siteFile("a.test"), "a.test.conf");
+});
+
+test("ignores includes that are commented out or outside http", (t) => {
+  const root = createNginxRoot(
+    t,
+    "include sites-enabled/*;\nevents {}\nhttp {\n    # include sites-enabled/*;\n    include conf.d/*.conf;\n}\n",
+    ["sites-enabled"],
+  );
+  assert.equal(resolveLayout({ nginxRoot: root }).name, "conf.d");
+
+  // With neither include, an existing sites-enabled decides
+  const bare = createNginxRoot(t, "events {}\nhttp {\n}\n", ["sites-enabled"]);
+  assert.equal(resolveLayout({ nginxRoot: bare }).name, "sites");
+  fs.rmdirSync(path.join(bare, "sites-enabled"));
+  assert.equal(resolveLayout({ nginxRoot: bare }).name, "conf.d");
+});
+
+test("--layout overrides the detection and must be known", (t) => {
+  const root = createNginxRoot(
+    t,
+    "events {}\nhttp {\n    include sites-enabled/*;\n}\n",
+  );
+  const layout = configureLayout({ nginxRoot: root, layout: "conf.d" });
+  assert.equal(layout.name, "conf.d");
+  assert.equal(layout.detected, false);
+  assert.throws(() => configureLayout({ nginxRoot: root, layout: "nixos" }), {
+    message: "Unknown layout: nixos (available: sites, conf.d)",
+  });
+});
+
+test("reports an nginx.conf that does not parse", (t) => {
+  const root = createNginxRoot(t, "http {\n    include sites-enabled/*\n}\n");
+  const layout = resolveLayout({ nginxRoot: root });
+  assert.equal(layout.config, null);
+  assert.equal(
+    layout.configError,
+    `${layout.confPath}:3: directive "include" is not terminated by ";"`,
+  );
+});
+
+test(
+  "manages a site in a temporary --nginx-root from setup to remove",
+  { skip: process.platform !== "linux" && "fast-nginx only runs on Linux" },
+  (t) => {
+    const root = createNginxRoot(
+      t,
+      "events {}\nhttp {\n    include sites-enabled/*;\n}\n",
+      ["sites-available", "sites-enabled"],
+    );
+    // Stand-ins for the binaries fast-nginx runs, logging how they were called
+    const bin = fs.mkdtempSync(path.join(os.tmpdir(), "fast-nginx-"));
+    t.after(() => fs.rmSync(bin, { recursive: true, force: true }));
+    const calls = path.join(bin, "calls");
+    const stubs = {
+      nginx: `echo "nginx $*" >> '${calls}'\necho "nginx version: nginx/1.24.0" >&2`,
+      sudo: 'exec "$@"',
+      systemctl: `echo "systemctl $*" >> '${calls}'`,
+    };
+    for (const [name, script] of Object.entries(stubs)) {
+      fs.writeFileSync(path.join(bin, name), `#!/bin/sh\n${script}\n`, {
+        mode: 0o755,
+      });
+    }
+
+    const run = (...args) =>
+      execFileSync(process.execPath, [CLI, "--nginx-root", root, ...args], {
+        env: {
+          ...process.env,
+          PATH: `${bin}${path.delimiter}${process.env.PATH}`,
+          XDG_CONFIG_HOME: bin,
+          NO_COLOR: "1",
+        },
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "pipe"],
+        timeout: 60000,
+      });
+
+    run("setup", "-d", "app.test", "-p", "3000", "--yes", "--no-verify");
+    assert.deepEqual(listFiles(root).sort(), [
+      "nginx.conf",
+      path.join("sites-available", "app.test"),
+      path.join("sites-enabled", "app.test"),
+    ]);
+    assert.equal(
+      fs.readlinkSync(path.join(root, "sites-enabled", "app.test")),
+      path.join(root, "sites-available", "app.test"),
+    );
+    assert.match(
+      fs.readFileSync(path.join(root, "sites-available", "app.test"), "utf8"),
+      /proxy_pass http:\/\/127\.0\.0\.1:3000;/,
+    );
+
+    // Running setup again changes nothing, not even the "Generated on" line
+    assert.match(
+      run(
+        "setup",
+        "-d",
+        "app.test",
+        "-p",
+        "3000",
+        "--dry-run",
+        "--yes",
+        "--no-verify",
+      ),
+      /Would write .*app\.test\n {3}\(no changes\)/,
+    );
+
+    const [site] = JSON.parse(run("list", "--json"));
+    assert.equal(site.domain, "app.test");
+    assert.equal(site.file, path.join(root, "sites-available", "app.test"));
+    assert.equal(site.enabled, true);
+
+    run("disable", "-d", "app.test", "--yes");
+    assert.deepEqual(fs.readdirSync(path.join(root, "sites-enabled")), []);
+    run("enable", "-d", "app.test", "--yes");
+    assert.deepEqual(fs.readdirSync(path.join(root, "sites-enabled")), [
+      "app.test",
+    ]);
+    run("remove", "-d", "app.test", "--yes");
+    assert.deepEqual(listFiles(root), ["nginx.conf"]);
+
+    // nginx -t checked the configuration in root, never the system one
+    const tests = fs
+      .readFileSync(calls, "utf8")
+      .split("\n")
+      .filter((line) => line.startsWith("nginx -t"));
+    assert.equal(tests.length, 4);
+    for (const line of tests) {
+      assert.equal(line, `nginx -t -c ${path.join(root, "nginx.conf")}`);
+    }
+  },
+);
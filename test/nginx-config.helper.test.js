@@ -0,0 +1,223 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseNginxConfig,
+  serializeNginxConfig,
+  createDirective,
+  loadNginxConfig,
+  findDirectives,
+  includePatterns,
+  serverBlocks,
+  serversClaiming,
+} = require("../src/utils/nginx-config.helper");
+
+const NGINX_CONF = `user www-data;
+worker_processes auto;
+pid /run/nginx.pid;
+include /etc/nginx/modules-enabled/*.conf;
+
+events {
+\tworker_connections 768;
+\t# multi_accept on;
+}
+
+http {
+\tsendfile on;
+\tlog_format main '$remote_addr - $remote_user [$time_local] "$request" '
+\t                '$status $body_bytes_sent';
+\tmap $http_upgrade $connection_upgrade {
+\t\tdefault upgrade;
+\t\t''      close;
+\t\t"~^(?<name>[a-z]+)\\.example\\.com$" "$name";
+\t}
+\tinclude /etc/nginx/conf.d/*.conf;
+\tinclude /etc/nginx/sites-enabled/*;
+}
+`;
+
+const SITE = `# fast-nginx generated configuration for app.test
+server {
+    listen 80;
+    listen [::]:80;
+    server_name app.test   www.app.test; # trailing comment
+    add_header Content-Security-Policy "default-src 'self'; img-src *" always;
+    set $backend "http://127.0.0.1:3000";
+    location ~* \\.(js|css|png)$ {
+        expires 30d;
+    }
+    location /api/ {
+        proxy_pass ${"$"}{backend}/v1;
+        proxy_set_header X-Path "a \\"quoted\\" \\\\ path";
+        return 200 'it\\'s ok';
+    }
+    if ($http_user_agent ~ "Mozilla/(4|5)\\.0 \\{x\\}") {
+        return 403;
+    }
+    rewrite ^/old/(.*)$ /new/$1 permanent;
+}
+`;
+
+test("gives back every configuration byte for byte", () => {
+  const sources = {
+    "nginx.conf": NGINX_CONF,
+    site: SITE,
+    "comments between arguments":
+      "listen 443 # the port\n    ssl # and TLS\n    ;\n",
+    "CRLF line endings": "events {\r\n}\r\nhttp {\r\n\tinclude a/*;\r\n}\r\n",
+    "no newline at the end": "worker_processes 1;",
+    "an empty file": "",
+    "only comments": "# nothing here\n\n# at all",
+    "blocks on one line": "events{}http{server{listen 80;}}",
+    "a multi-line string": 'return 200 "line one\nline two";\n',
+    "escapes in bare words": "location ~ ^/a\\;b\\{c\\} { return 404; }\n",
+  };
+  for (const [name, source] of Object.entries(sources)) {
+    assert.equal(
+      serializeNginxConfig(parseNginxConfig(source, name)),
+      source,
+      name,
+    );
+  }
+});
+
+test("parses directives, arguments and lines", () => {
+  const config = parseNginxConfig(SITE, "site");
+  const [server] = serverBlocks(config, "");
+
+  assert.equal(server.line, 2);
+  assert.deepEqual(server.serverNames, ["app.test", "www.app.test"]);
+  assert.deepEqual(server.listens, [["80"], ["[::]:80"]]);
+
+  const argumentsOf = (name) =>
+    findDirectives(config, name).map(({ node }) => node.args);
+  assert.deepEqual(argumentsOf("add_header"), [
+    ["Content-Security-Policy", "default-src 'self'; img-src *", "always"],
+  ]);
+  assert.deepEqual(argumentsOf("proxy_pass"), [["${backend}/v1"]]);
+  assert.deepEqual(argumentsOf("proxy_set_header"), [
+    ["X-Path", 'a "quoted" \\ path'],
+  ]);
+  assert.deepEqual(argumentsOf("return"), [["200", "it's ok"], ["403"]]);
+  assert.deepEqual(argumentsOf("if"), [
+    ["($http_user_agent", "~", "Mozilla/(4|5)\\.0 \\{x\\}", ")"],
+  ]);
+  assert.equal(findDirectives(config, "expires")[0].node.line, 9);
+
+  const listen = parseNginxConfig("listen 443 # the port\n  ssl;\n");
+  assert.deepEqual(listen.children[0].args, ["443", "ssl"]);
+});
+
+test("rewrites only the directives that were edited", () => {
+  const config = parseNginxConfig(NGINX_CONF, "nginx.conf");
+  const http = config.children.find((node) => node.name === "http");
+  http.children.find((node) => node.name === "sendfile").args = ["off"];
+  http.children.push(
+    createDirective("server_tokens", ["off"]),
+    createDirective("add_header", ["X-Note", 'say "hi"; bye']),
+  );
+
+  const output = serializeNginxConfig(config);
+  assert.equal(
+    output,
+    NGINX_CONF.replace("\tsendfile on;", "\tsendfile off;").replace(
+      "\tinclude /etc/nginx/sites-enabled/*;\n",
+      '\tinclude /etc/nginx/sites-enabled/*;\n\tserver_tokens off;\n\tadd_header X-Note "say \\"hi\\"; bye";\n',
+    ),
+  );
+  // What was written reads back as the same arguments
+  const reparsed = findDirectives(parseNginxConfig(output), "add_header");
+  assert.deepEqual(reparsed[0].node.args, ["X-Note", 'say "hi"; bye']);
+});
+
+test("indents new directives with spaces or tabs like their siblings", () => {
+  const spaces = parseNginxConfig("server {\n  listen 80;\n}\n");
+  spaces.children[0].children.push(createDirective("server_name", ["a.test"]));
+  assert.equal(
+    serializeNginxConfig(spaces),
+    "server {\n  listen 80;\n  server_name a.test;\n}\n",
+  );
+
+  const tabs = parseNginxConfig("http {\n\tserver {\n\t}\n}\n");
+  tabs.children[0].children[0].children.push(
+    createDirective("location", ["/"], [createDirective("return", ["204"])]),
+  );
+  assert.equal(
+    serializeNginxConfig(tabs),
+    "http {\n\tserver {\n\t\tlocation / {\n\t\t\treturn 204;\n\t\t}\n\t}\n}\n",
+  );
+});
+
+test("reports syntax errors as file:line", () => {
+  const cases = [
+    ["events {\n}\n}\n", 'site.conf:3: unexpected "}"'],
+    [
+      "http {\n  server {\n    listen 80;\n",
+      'site.conf:2: unexpected end of file, expecting "}"',
+    ],
+    [
+      "server {\n  listen 80\n}\n",
+      'site.conf:3: directive "listen" is not terminated by ";"',
+    ],
+    [
+      "\n\nworker_processes 1",
+      'site.conf:3: directive "worker_processes" is not terminated by ";"',
+    ],
+    ['\nreturn 200 "open\n\n', "site.conf:2: unterminated string"],
+    ["set $a 1;\nset $b ${a;\n", "site.conf:2: unterminated variable"],
+    ["events {}\n;\n", 'site.conf:2: unexpected ";"'],
+  ];
+  for (const [source, message] of cases) {
+    assert.throws(() => parseNginxConfig(source, "site.conf"), { message });
+  }
+});
+
+test("loads includes relative to nginx.conf and keeps their errors", (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "fast-nginx-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(root, "conf.d"));
+  fs.mkdirSync(path.join(root, "sites-enabled"));
+  fs.writeFileSync(
+    path.join(root, "nginx.conf"),
+    "# include outside/*;\nevents {}\nhttp {\n    include conf.d/*.conf;\n    include sites-enabled/*;\n}\n",
+  );
+  fs.writeFileSync(
+    path.join(root, "conf.d", "a.conf"),
+    "server {\n    server_name a.test;\n}\n",
+  );
+  fs.writeFileSync(path.join(root, "conf.d", "notes.txt"), "not loaded {");
+  fs.writeFileSync(
+    path.join(root, "sites-enabled", "broken"),
+    "server {\n    server_name b.test\n",
+  );
+  fs.symlinkSync(
+    path.join(root, "missing"),
+    path.join(root, "sites-enabled", "dangling"),
+  );
+
+  const config = loadNginxConfig(path.join(root, "nginx.conf"));
+  assert.deepEqual(includePatterns(config), [
+    path.join(root, "conf.d/*.conf"),
+    path.join(root, "sites-enabled/*"),
+  ]);
+
+  const [claimed] = serversClaiming(config, "A.test");
+  assert.equal(claimed.file, path.join(root, "conf.d", "a.conf"));
+  assert.equal(claimed.line, 1);
+
+  const included = findDirectives(config, "include").flatMap(
+    ({ node }) => node.included,
+  );
+  assert.deepEqual(
+    included.map((entry) => [path.relative(root, entry.file), entry.error]),
+    [
+      ["conf.d/a.conf", undefined],
+      [
+        "sites-enabled/broken",
+        `${path.join(root, "sites-enabled", "broken")}:2: directive "server_name" is not terminated by ";"`,
+      ],
+    ],
+  );
+});
@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { formatRoute, parseRoutes } = require("../src/utils/route.helper");
+const { routeSummary } = require("../src/templates/snippets");
+
+test("parses targets, flags, limits and access rules", () => {
+  const [route] = parseRoutes(
+    "/admin=[::1]:4000:strip:rate=5r/s:auth=admin:allow=[2001:db8::/32]:allow=10.0.0.0/8:deny=all",
+  );
+  assert.equal(route.path, "/admin");
+  assert.equal(route.address, "[::1]:4000");
+  assert.deepEqual(route.flags, ["strip"]);
+  assert.deepEqual(route.limits, { rate: "5r/s" });
+  assert.equal(route.access.basicAuth, "admin");
+  assert.deepEqual(route.access.rules, [
+    { action: "allow", rule: "2001:db8::/32" },
+    { action: "allow", rule: "10.0.0.0/8" },
+    { action: "deny", rule: "all" },
+  ]);
+});
+
+test("the Routes header parses back to the same routes", () => {
+  const routes = [
+    "/api=4000:strip",
+    "/ws=10.0.0.7:5000:websocket",
+    "/v6=[::1]:4001:conn=20",
+    "/admin=4002:auth=admin:deny=[2001:db8::1]:allow=[2001:db8::/32]:deny=all",
+    {
+      path: "/ops",
+      target: 4003,
+      deny: "10.0.0.5",
+      allow: ["fd00::/8", "10.0.0.0/8"],
+    },
+  ];
+  const summary = routeSummary({ routes });
+  assert.equal(
+    summary,
+    "/admin=127.0.0.1:4002:auth=admin:deny=[2001:db8::1]:allow=[2001:db8::/32]:deny=all,/api=127.0.0.1:4000:strip,/ops=127.0.0.1:4003:deny=10.0.0.5:allow=[fd00::/8]:allow=10.0.0.0/8,/ws=10.0.0.7:5000:websocket,/v6=[::1]:4001:conn=20",
+  );
+
+  // Everything but how the route was written; object routes keep unset keys
+  const strip = ({ source, ...route }) => JSON.parse(JSON.stringify(route));
+  assert.deepEqual(
+    parseRoutes(summary.split(",")).map(strip),
+    parseRoutes(routes).map(strip),
+  );
+  assert.equal(routeSummary({ routes: summary.split(",") }), summary);
+  for (const route of parseRoutes(routes)) {
+    assert.deepEqual(strip(parseRoutes(formatRoute(route))[0]), strip(route));
+  }
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { configureLayout } = require("../src/utils/layout.helper");
+const { readManagedSites } = require("../src/utils/sites.helper");
+
+const SITE = `# fast-nginx generated configuration for app.test
+# Generated on: 2026-01-01T00:00:00.000Z
+# Template: basic
+# Upstream: 127.0.0.1:3000
+
+server {
+    listen 80;
+    server_name app.test;
+}
+`;
+
+test("lists managed sites and skips what is not a readable config", (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "fast-nginx-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.writeFileSync(
+    path.join(root, "nginx.conf"),
+    "events {}\nhttp {\n    include sites-enabled/*;\n}\n",
+  );
+  const available = path.join(root, "sites-available");
+  const enabledDir = path.join(root, "sites-enabled");
+  fs.mkdirSync(available);
+  fs.mkdirSync(enabledDir);
+  fs.writeFileSync(path.join(available, "app.test"), SITE);
+  fs.symlinkSync(
+    path.join(available, "app.test"),
+    path.join(enabledDir, "app.test"),
+  );
+  fs.writeFileSync(path.join(available, "default"), "server {}\n");
+  fs.mkdirSync(path.join(available, "backup"));
+  fs.symlinkSync(path.join(root, "missing"), path.join(available, "gone.test"));
+  configureLayout({ nginxRoot: root });
+
+  const sites = readManagedSites();
+  assert.deepEqual(
+    sites.map(({ domain, upstream, port, enabled }) => ({
+      domain,
+      upstream,
+      port,
+      enabled,
+    })),
+    [
+      {
+        domain: "app.test",
+        upstream: "127.0.0.1:3000",
+        port: 3000,
+        enabled: true,
+      },
+    ],
+  );
+});
@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { interpolate } = require("../src/utils/template.helper");
+const { renderTemplate } = require("../src/templates");
+
+test("replaces variables, with or without spaces in the tag", () => {
+  assert.equal(
+    interpolate("server_name {{domain}} {{ www }};", {
+      domain: "a.com",
+      www: "www.a.com",
+    }),
+    "server_name a.com www.a.com;",
+  );
+});
+
+test("renders nested if, unless and else blocks", () => {
+  const source = [
+    "{{#if ssl}}",
+    "{{#if https}}listen 443 ssl;{{else}}# no certificate yet{{/if}}",
+    "{{#unless www}}# no www{{/unless}}",
+    "{{else}}",
+    "listen 80;",
+    "{{/if}}",
+  ].join("\n");
+
+  assert.equal(
+    interpolate(source, { ssl: true, https: true, www: "" }),
+    "\nlisten 443 ssl;\n# no www\n",
+  );
+  assert.equal(
+    interpolate(source, { ssl: true, https: false, www: "www.a.com" }),
+    "\n# no certificate yet\n\n",
+  );
+  assert.equal(
+    interpolate(source, { ssl: false, https: true, www: "" }),
+    "\nlisten 80;\n",
+  );
+});
+
+test("allows an undefined value only in a block that is not rendered", () => {
+  const source = "{{#if https}}ssl_certificate {{sslCertificate}};{{/if}}";
+  assert.equal(
+    interpolate(source, { https: false, sslCertificate: undefined }),
+    "",
+  );
+  assert.throws(
+    () => interpolate(source, { https: true, sslCertificate: undefined }),
+    {
+      message:
+        'Missing value for template variable(s): "sslCertificate" (line 1)',
+    },
+  );
+});
+
+test("names unknown variables with their lines and lists the known ones", () => {
+  assert.throws(
+    () =>
+      interpolate("{{domain}}\n{{prot}}\n{{#if tls}}{{/if}}", {
+        domain: "a.com",
+        port: "3000",
+      }),
+    {
+      message:
+        'Unknown template variable(s): "prot" (line 2), "tls" (line 3). Available variables: domain, port',
+    },
+  );
+});
+
+test("reports unbalanced and malformed tags with their lines", () => {
+  const variables = { ssl: true, www: "" };
+  const cases = [
+    [
+      "{{#if ssl}}\nlisten 443;",
+      'Unclosed "{{#if ssl}}" block opened on line 1',
+    ],
+    ["listen 80;\n{{/if}}", 'Unexpected "{{/if}}" on line 2'],
+    ["{{#if ssl}}{{/unless}}", 'Unexpected "{{/unless}}" on line 1'],
+    ["{{else}}", 'Unexpected "{{else}}" on line 1'],
+    ["{{#if ssl}}{{else}}{{else}}{{/if}}", 'Unexpected "{{else}}" on line 1'],
+    [
+      "{{#each ssl}}{{/each}}",
+      'Invalid block "{{#each ssl}}" on line 1 (use {{#if name}} or {{#unless name}})',
+    ],
+    [
+      "{{#if}}{{/if}}",
+      'Invalid block "{{#if}}" on line 1 (use {{#if name}} or {{#unless name}})',
+    ],
+    ["{{ssl www}}", 'Invalid placeholder "{{ssl www}}" on line 1'],
+    ["a\nb {{ ssl-on }}", "Invalid placeholder on line 2"],
+  ];
+  for (const [source, message] of cases) {
+    assert.throws(() => interpolate(source, variables), { message }, source);
+  }
+});
+
+test("user templates get the header the built-in templates write", (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "fast-nginx-"));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const file = path.join(directory, "house.conf.tmpl");
+  fs.writeFileSync(
+    file,
+    "server {\n    server_name {{serverNames}};\n{{routes}}}\n",
+  );
+
+  const config = renderTemplate(
+    file,
+    { routes: ["/api=4000", "/ws=5000:websocket"] },
+    "a.com",
+    "3000",
+  );
+  const header = config.split("\n\n")[0].split("\n");
+  assert.equal(header[0], "# fast-nginx generated configuration for a.com");
+  assert.deepEqual(header.slice(2), [
+    `# Template: ${file}`,
+    "# Upstream: 127.0.0.1:3000",
+    "# Routes: /api=127.0.0.1:4000,/ws=127.0.0.1:5000:websocket",
+  ]);
+  assert.match(config, /location \^~ \/api\/ \{/);
+});
@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const os = require("os");
+const path = require("path");
+const { configureLayout } = require("../src/utils/layout.helper");
+const {
+  localCaPaths,
+  getLocalCa,
+  issueLocalCertificate,
+} = require("../src/utils/local-ca.helper");
+const verifyDeployment = require("../src/validators/deploy.validator");
+
+const HEADERS = [
+  ["Strict-Transport-Security", "max-age=31536000"],
+  ["X-Content-Type-Options", "nosniff"],
+  ["Content-Security-Policy", "default-src 'self'; img-src *"],
+];
+
+const SITE = `server {
+    listen 80;
+    server_name app.test www.app.test;
+    return 301 https://$host$request_uri;
+}
+
+server {
+    listen 443 ssl;
+    server_name app.test www.app.test;
+${HEADERS.map(([name, value]) => `    add_header ${name} "${value}" always;`).join("\n")}
+    location / {
+        proxy_pass http://127.0.0.1:3000;
+    }
+}
+`;
+
+// A temporary nginx root with the site and the local CA that verify trusts
+function createNginxRoot(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "fast-nginx-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.writeFileSync(
+    path.join(root, "nginx.conf"),
+    "events {}\nhttp {\n    include sites-enabled/*;\n}\n",
+  );
+  fs.mkdirSync(path.join(root, "sites-available"));
+  fs.mkdirSync(path.join(root, "sites-enabled"));
+  fs.writeFileSync(path.join(root, "sites-available", "app.test"), SITE);
+
+  configureLayout({ nginxRoot: root });
+  const paths = localCaPaths();
+  fs.mkdirSync(paths.directory, { recursive: true });
+  fs.writeFileSync(paths.certificate, getLocalCa().certificatePem);
+}
+
+function listen(server, port) {
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => resolve(server));
+  });
+}
+
+function close(server) {
+  server.closeAllConnections();
+  return new Promise((resolve) => server.close(resolve));
+}
+
+/**
+ * Stands in for nginx serving the site on 127.0.0.1:80 and :443, which verify
+ * always requests. Resolves false when the ports cannot be bound.
+ */
+async function serveSite(t, { names, headers }) {
+  const { fullchain, key } = issueLocalCertificate(names);
+  const servers = [
+    http.createServer((request, response) => {
+      response.writeHead(301, {
+        Location: `https://${request.headers.host}${request.url}`,
+      });
+      response.end();
+    }),
+    https.createServer({ cert: fullchain, key }, (request, response) => {
+      response.writeHead(200, Object.fromEntries(headers));
+      response.end("ok");
+    }),
+  ];
+  try {
+    await listen(servers[0], 80);
+    await listen(servers[1], 443);
+  } catch (error) {
+    await Promise.all(servers.filter((server) => server.listening).map(close));
+    t.skip(`cannot listen on ports 80 and 443 (${error.code})`);
+    return false;
+  }
+  t.after(() => Promise.all(servers.map(close)));
+  return true;
+}
+
+function statuses(checks) {
+  return Object.fromEntries(checks.map((check) => [check.name, check.status]));
+}
+
+test("verifies a site served with the certificate and headers it configures", async (t) => {
+  createNginxRoot(t);
+  const names = ["app.test", "www.app.test"];
+  if (!(await serveSite(t, { names, headers: HEADERS }))) return;
+
+  const checks = await verifyDeployment("app.test");
+  assert.deepEqual(statuses(checks), {
+    // .test names never resolve
+    DNS: "warning",
+    HTTP: "ok",
+    "Redirect chain": "ok",
+    HTTPS: "ok",
+    Certificate: "ok",
+    "Security headers": "ok",
+  });
+  const message = (name) => checks.find((check) => check.name === name).message;
+  assert.equal(message("HTTP"), "301 redirect to https://app.test/");
+  assert.equal(
+    message("Redirect chain"),
+    "http://app.test/ 301 → https://app.test/ 200",
+  );
+  assert.match(
+    message("Certificate"),
+    /^app\.test, www\.app\.test, issued by fast-nginx local CA/,
+  );
+  assert.equal(
+    message("Security headers"),
+    HEADERS.map(([name]) => name).join(", "),
+  );
+});
+
+test("fails a wrong certificate and a missing header", async (t) => {
+  createNginxRoot(t);
+  const headers = HEADERS.filter(([name]) => name !== "X-Content-Type-Options");
+  if (!(await serveSite(t, { names: ["other.test"], headers }))) return;
+
+  const checks = await verifyDeployment("app.test");
+  const failed = checks.filter((check) => check.status === "error");
+  assert.deepEqual(
+    failed.map((check) => check.name),
+    ["Certificate", "Security headers"],
+  );
+  assert.match(
+    failed[0].message,
+    /: does not cover app\.test, www\.app\.test, not trusted \(ERR_TLS_CERT_ALTNAME_INVALID\)$/,
+  );
+  assert.equal(
+    failed[1].message,
+    "Missing or different: X-Content-Type-Options",
+  );
+});
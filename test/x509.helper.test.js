@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const tls = require("tls");
+const {
+  createCertificate,
+  generateKeyPair,
+} = require("../src/utils/x509.helper");
+
+const DAY = 86400000;
+
+// X509Certificate reports validity to the second
+function seconds(date) {
+  return Math.floor(date.getTime() / 1000) * 1000;
+}
+
+function createCa(notAfter = new Date(Date.now() + 3650 * DAY)) {
+  const keys = generateKeyPair();
+  const subject = { organizationName: "fast-nginx", commonName: "Test CA" };
+  const notBefore = new Date(Date.now() - DAY);
+  const pem = createCertificate({
+    subject,
+    publicKey: keys.publicKey,
+    issuerKey: keys.privateKey,
+    notBefore,
+    notAfter,
+    ca: true,
+  });
+  return { ...keys, subject, notBefore, notAfter, pem };
+}
+
+function createLeaf(ca, dnsNames, notAfter = new Date(Date.now() + 397 * DAY)) {
+  const keys = generateKeyPair();
+  const notBefore = new Date(Date.now() - 3600000);
+  const pem = createCertificate({
+    subject: { commonName: dnsNames[0] },
+    publicKey: keys.publicKey,
+    issuer: ca.subject,
+    issuerKey: ca.privateKey,
+    issuerPublicKey: ca.publicKey,
+    notBefore,
+    notAfter,
+    dnsNames,
+  });
+  return { ...keys, notBefore, notAfter, pem };
+}
+
+test("creates a self-signed CA certificate", () => {
+  const ca = createCa();
+  const certificate = new crypto.X509Certificate(ca.pem);
+
+  assert.equal(certificate.ca, true);
+  assert.equal(certificate.subject, "O=fast-nginx\nCN=Test CA");
+  assert.equal(certificate.issuer, certificate.subject);
+  assert.equal(certificate.verify(ca.publicKey), true);
+  assert.equal(certificate.checkPrivateKey(ca.privateKey), true);
+  assert.equal(
+    new Date(certificate.validFrom).getTime(),
+    seconds(ca.notBefore),
+  );
+  assert.equal(new Date(certificate.validTo).getTime(), seconds(ca.notAfter));
+});
+
+test("creates a server certificate the CA has signed", () => {
+  const ca = createCa();
+  const leaf = createLeaf(ca, ["app.test", "*.app.test"]);
+  const certificate = new crypto.X509Certificate(leaf.pem);
+
+  assert.equal(certificate.ca, false);
+  assert.equal(certificate.subject, "CN=app.test");
+  assert.equal(certificate.issuer, "O=fast-nginx\nCN=Test CA");
+  assert.equal(certificate.subjectAltName, "DNS:app.test, DNS:*.app.test");
+  assert.deepEqual(certificate.keyUsage, ["1.3.6.1.5.5.7.3.1"]);
+  assert.equal(certificate.verify(ca.publicKey), true);
+  assert.equal(certificate.verify(generateKeyPair().publicKey), false);
+  assert.equal(
+    certificate.checkIssued(new crypto.X509Certificate(ca.pem)),
+    true,
+  );
+  assert.equal(certificate.checkPrivateKey(leaf.privateKey), true);
+  assert.equal(certificate.checkHost("api.app.test"), "*.app.test");
+  assert.equal(certificate.checkHost("other.test"), undefined);
+  assert.equal(
+    new Date(certificate.validFrom).getTime(),
+    seconds(leaf.notBefore),
+  );
+  assert.equal(new Date(certificate.validTo).getTime(), seconds(leaf.notAfter));
+});
+
+test("encodes long lengths and dates after 2049", () => {
+  const ca = createCa(new Date("2051-06-01T12:00:00Z"));
+  // Over 255 bytes of names need a two-byte DER length
+  const names = Array.from({ length: 40 }, (_, index) => `site${index}.test`);
+  const leaf = createLeaf(ca, names, new Date("2050-01-02T03:04:05Z"));
+  const certificate = new crypto.X509Certificate(leaf.pem);
+
+  assert.equal(certificate.verify(ca.publicKey), true);
+  assert.equal(
+    certificate.subjectAltName,
+    names.map((name) => `DNS:${name}`).join(", "),
+  );
+  assert.equal(
+    new Date(certificate.validTo).toISOString(),
+    "2050-01-02T03:04:05.000Z",
+  );
+  assert.equal(
+    new Date(new crypto.X509Certificate(ca.pem).validTo).toISOString(),
+    "2051-06-01T12:00:00.000Z",
+  );
+});
+
+test("TLS clients that trust the CA accept the certificate", async (t) => {
+  const ca = createCa();
+  const leaf = createLeaf(ca, ["app.test", "*.app.test"]);
+  const server = tls.createServer(
+    {
+      cert: leaf.pem,
+      key: leaf.privateKey.export({ type: "pkcs8", format: "pem" }),
+    },
+    (socket) => socket.end(),
+  );
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  const connect = (servername) =>
+    new Promise((resolve, reject) => {
+      const socket = tls.connect(
+        {
+          host: "127.0.0.1",
+          port: server.address().port,
+          servername,
+          ca: ca.pem,
+        },
+        () => {
+          socket.destroy();
+          resolve();
+        },
+      );
+      socket.once("error", reject);
+    });
+
+  await connect("www.app.test");
+  await assert.rejects(connect("other.test"), {
+    code: "ERR_TLS_CERT_ALTNAME_INVALID",
+  });
+});